@@ -0,0 +1,591 @@
+'use strict'
+const _ = require('lodash');
+const ethjs = require('ethereumjs-util');
+
+const util = require('./util');
+
+const FRAGMENT_KINDS = ['function', 'error', 'event', 'constructor'];
+const PARAM_MODIFIERS = ['indexed', 'memory', 'calldata', 'storage', 'payable'];
+
+// Parse a JSON ABI fragment or a human-readable signature
+// (e.g., `error Unauthorized(address caller)` or
+// `balanceOf(address owner) view returns (uint256)`) into a JSON ABI fragment.
+function parseFragment(fragment, defaultKind='function') {
+	if (_.isObject(fragment)) {
+		return {
+			...fragment,
+			inputs: (fragment.inputs || []).map(normalizeParam),
+			outputs: (fragment.outputs || []).map(normalizeParam),
+		};
+	}
+	if (!_.isString(fragment)) {
+		throw new InvalidAbiError(`cannot parse ${JSON.stringify(fragment)}`);
+	}
+	let s = fragment.trim();
+	let kind = defaultKind;
+	const keyword = /^([a-z]+)\s+/.exec(s);
+	if (keyword && FRAGMENT_KINDS.includes(keyword[1])) {
+		kind = keyword[1];
+		s = s.slice(keyword[0].length);
+	}
+	const open = s.indexOf('(');
+	if (open === -1) {
+		throw new InvalidAbiError(`missing parameter list in ${JSON.stringify(fragment)}`);
+	}
+	const name = s.slice(0, open).trim();
+	const close = findClosingParen(s, open);
+	const inputs = parseParams(s.slice(open + 1, close));
+	const rest = s.slice(close + 1).trim();
+	let outputs = [];
+	const returns = /\breturns\s*\(/.exec(rest);
+	if (returns) {
+		const start = returns.index + returns[0].length - 1;
+		outputs = parseParams(rest.slice(start + 1, findClosingParen(rest, start)));
+	}
+	const modifiers = (returns ? rest.slice(0, returns.index) : rest).split(/\s+/);
+	return _.omitBy({
+		type: kind,
+		name: name || undefined,
+		inputs,
+		outputs: kind === 'function' ? outputs : undefined,
+		stateMutability: kind === 'function'
+			? _.intersection(modifiers, ['pure', 'view', 'payable'])[0] || 'nonpayable'
+			: undefined,
+		anonymous: kind === 'event' ? modifiers.includes('anonymous') : undefined,
+	}, _.isUndefined);
+}
+
+// Canonical signature of a fragment, e.g., `transfer(address,uint256)`.
+function formatSignature(fragment) {
+	fragment = parseFragment(fragment);
+	return `${fragment.name}(${fragment.inputs.map(formatType).join(',')})`;
+}
+
+// 4-byte selector of a function or error fragment.
+function getSelector(fragment) {
+	return ethjs.bufferToHex(
+		ethjs.keccak256(Buffer.from(formatSignature(fragment), 'utf8')).slice(0, 4),
+	);
+}
+
+// Canonical type of a parameter, with tuples expanded.
+function formatType(param) {
+	const type = param.type;
+	if (type.startsWith('tuple')) {
+		return `(${param.components.map(formatType).join(',')})${type.slice(5)}`;
+	}
+	return type;
+}
+
+// ABI-encode `values` as a list of `params` (JSON ABI params or type
+// strings, like `'uint256'` or `'(address to, uint256 amount)[]'`).
+// `values` can be an array or an object keyed by param name.
+function encodeParameters(params, values) {
+	params = params.map(normalizeParam);
+	return ethjs.bufferToHex(encodeTuple(params, values));
+}
+
+// Encode the calldata for a function call.
+function encodeFunctionCall(fragment, args=[]) {
+	fragment = parseFragment(fragment);
+	return getSelector(fragment) + encodeParameters(fragment.inputs, args).slice(2);
+}
+
+// Decode the return data of a function call. Functions with a single output
+// return just that value, otherwise an array (which also has named values as
+// properties).
+function decodeFunctionResult(fragment, data) {
+	fragment = parseFragment(fragment);
+	const values = decodeParameters(fragment.outputs, data);
+	return fragment.outputs.length === 1 ? values[0] : values;
+}
+
+// Decode ABI-encoded `data` as a list of `params` (JSON ABI params or
+// type strings). Returns an array that also has named values as properties.
+function decodeParameters(params, data) {
+	params = params.map(normalizeParam);
+	const buf = ethjs.toBuffer(util.asBytes(data));
+	return decodeTuple(params, buf, 0);
+}
+
+// Find the fragment in `abi` that `data` was encoded for (by selector) and
+// decode the rest of it, returning `{name, signature, args}`, or `null` if
+// nothing matches.
+function decodeWithSelector(abi, data, kind='function') {
+	data = util.asBytes(data);
+	const selector = data.slice(0, 10).toLowerCase();
+	const fragment = _.castArray(abi)
+		.map(f => parseFragment(f, kind))
+		.filter(f => f.type === kind)
+		.find(f => getSelector(f) === selector);
+	if (!fragment) {
+		return null;
+	}
+	return {
+		name: fragment.name,
+		signature: formatSignature(fragment),
+		args: decodeParameters(fragment.inputs, '0x' + data.slice(10)),
+	};
+}
+
+// Topic hash of an event, i.e., the hash of its canonical signature.
+function getEventTopic(fragment) {
+	return ethjs.bufferToHex(ethjs.keccak256(
+		Buffer.from(formatSignature(parseFragment(fragment, 'event')), 'utf8'),
+	));
+}
+
+// Encode the `topics` of a log filter for an event. `args` holds values for
+// the indexed params, either by position or by name. Missing values match
+// anything, and an array of values (for a non-array param) matches any of them.
+function encodeEventTopics(fragment, args=[]) {
+	fragment = parseFragment(fragment, 'event');
+	const indexed = fragment.inputs.filter(p => p.indexed);
+	const values = _.isArray(args)
+		? args
+		: indexed.map(p => args[p.name]);
+	if (values.length > indexed.length) {
+		throw new AbiEncodeError(`${fragment.name} only has ${indexed.length} indexed params`);
+	}
+	const topics = indexed.map((param, i) => {
+		const value = values[i];
+		if (_.isNil(value)) {
+			return null;
+		}
+		if (_.isArray(value) && !util.parseArrayType(param.type) && param.type !== 'tuple') {
+			return value.map(v => encodeTopic(param, v));
+		}
+		return encodeTopic(param, value);
+	});
+	while (topics.length && _.isNil(_.last(topics))) {
+		topics.pop();
+	}
+	return fragment.anonymous ? topics : [getEventTopic(fragment), ...topics];
+}
+
+// Decode a log emitted by an event, returning `{event, signature, args}`,
+// or `null` if the log isn't from that event. `args` is an array that
+// also has values by name. Indexed strings, bytes, arrays, and tuples can't
+// be recovered, so they decode as the topic hash.
+function decodeLog(fragment, log) {
+	fragment = parseFragment(fragment, 'event');
+	let topics = log.topics.map(t => t.toLowerCase());
+	if (!fragment.anonymous) {
+		if (topics[0] !== getEventTopic(fragment)) {
+			return null;
+		}
+		topics = topics.slice(1);
+	}
+	const indexed = fragment.inputs.filter(p => p.indexed);
+	if (topics.length !== indexed.length) {
+		return null;
+	}
+	const nonIndexedValues = decodeParameters(
+		fragment.inputs.filter(p => !p.indexed),
+		log.data,
+	);
+	let topicIndex = 0;
+	let dataIndex = 0;
+	const args = fragment.inputs.map(param => {
+		if (!param.indexed) {
+			return nonIndexedValues[dataIndex++];
+		}
+		const topic = topics[topicIndex++];
+		if (isHashedTopicType(param)) {
+			return topic;
+		}
+		return decodeValue(param, ethjs.toBuffer(topic), 0);
+	});
+	fragment.inputs.forEach((param, i) => {
+		if (param.name && !(param.name in args)) {
+			args[param.name] = args[i];
+		}
+	});
+	return {
+		event: fragment.name,
+		signature: formatSignature(fragment),
+		args,
+	};
+}
+
+// Decode each log against the events in `abi`, adding `event`, `signature`,
+// and `args` fields to the ones that match. Logs that don't match any
+// event are returned as is.
+function decodeLogs(abi, logs) {
+	// Anonymous events have no signature topic, so only try them last.
+	const events = _.sortBy(
+		_.castArray(abi)
+			.map(f => parseFragment(f, 'event'))
+			.filter(f => f.type === 'event'),
+		f => !!f.anonymous,
+	);
+	return logs.map(log => {
+		for (const event of events) {
+			let decoded = null;
+			try {
+				decoded = decodeLog(event, log);
+			} catch (err) {
+				// Same signature but different indexed params (e.g., ERC20
+				// and ERC721 `Transfer`s).
+				if (!(err instanceof AbiDecodeError)) {
+					throw err;
+				}
+			}
+			if (decoded) {
+				return { ...log, ...decoded };
+			}
+		}
+		return log;
+	});
+}
+
+function encodeTopic(param, value) {
+	if (isHashedTopicType(param)) {
+		return ethjs.bufferToHex(ethjs.keccak256(encodeInPlace(param, value, true)));
+	}
+	return ethjs.bufferToHex(encodeValue(param, value));
+}
+
+// The (unpadded, length-less) encoding that indexed reference types are
+// hashed from.
+function encodeInPlace(param, value, isTopLevel=false) {
+	const arrayType = util.parseArrayType(param.type);
+	if (arrayType) {
+		const itemParam = { ...param, type: arrayType.itemType };
+		return Buffer.concat(value.map(v => encodeInPlace(itemParam, v)));
+	}
+	if (param.type === 'tuple') {
+		const values = _.isArray(value)
+			? value
+			: param.components.map(p => value[p.name]);
+		return Buffer.concat(param.components.map((p, i) => encodeInPlace(p, values[i])));
+	}
+	if (param.type === 'string' || param.type === 'bytes') {
+		const bytes = param.type === 'string'
+			? Buffer.from(value, 'utf8')
+			: ethjs.toBuffer(util.asBytes(value));
+		return isTopLevel
+			? bytes
+			: ethjs.setLengthRight(bytes, Math.ceil(bytes.length / 32) * 32);
+	}
+	return encodeValue(param, value);
+}
+
+function isHashedTopicType(param) {
+	return ['string', 'bytes', 'tuple'].includes(param.type) ||
+		!!util.parseArrayType(param.type);
+}
+
+function encodeTuple(params, values) {
+	if (_.isArray(values)) {
+		if (values.length !== params.length) {
+			throw new AbiEncodeError(`expected ${params.length} values but got ${values.length}`);
+		}
+	} else if (_.isObject(values)) {
+		values = params.map(p => values[p.name]);
+	} else {
+		throw new AbiEncodeError(`expected an array or object but got ${JSON.stringify(values)}`);
+	}
+	const heads = [];
+	const tails = [];
+	let tailOffset = _.sumBy(params, getHeadSize);
+	params.forEach((param, i) => {
+		const encoded = encodeValue(param, values[i]);
+		if (isDynamicType(param)) {
+			heads.push(encodeWord(new ethjs.BN(tailOffset)));
+			tails.push(encoded);
+			tailOffset += encoded.length;
+		} else {
+			heads.push(encoded);
+		}
+	});
+	return Buffer.concat([...heads, ...tails]);
+}
+
+function encodeValue(param, value) {
+	const type = param.type;
+	if (_.isNil(value)) {
+		throw new AbiEncodeError(`missing value for ${param.name || type}`);
+	}
+	const arrayType = util.parseArrayType(type);
+	if (arrayType) {
+		const itemParam = { ...param, name: undefined, type: arrayType.itemType };
+		if (!_.isArray(value) ||
+				(!_.isNil(arrayType.size) && value.length !== arrayType.size)) {
+			throw new AbiEncodeError(`expected ${type} but got ${JSON.stringify(value)}`);
+		}
+		const encoded = encodeTuple(value.map(() => itemParam), value);
+		if (!_.isNil(arrayType.size)) {
+			return encoded;
+		}
+		return Buffer.concat([encodeWord(new ethjs.BN(value.length)), encoded]);
+	}
+	if (type === 'tuple') {
+		return encodeTuple(param.components, value);
+	}
+	if (type === 'bytes' || type === 'string') {
+		const bytes = type === 'string'
+			? Buffer.from(value, 'utf8')
+			: ethjs.toBuffer(util.asBytes(value));
+		return Buffer.concat([
+			encodeWord(new ethjs.BN(bytes.length)),
+			ethjs.setLengthRight(bytes, Math.ceil(bytes.length / 32) * 32),
+		]);
+	}
+	if (type === 'address') {
+		return ethjs.setLengthLeft(ethjs.toBuffer(util.asAddress(value)), 32);
+	}
+	if (type === 'bool') {
+		return encodeWord(new ethjs.BN(value ? 1 : 0));
+	}
+	const bytesSize = util.parseFixedBytesType(type);
+	if (!_.isNil(bytesSize)) {
+		const bytes = ethjs.toBuffer(util.asBytes(value));
+		if (bytes.length > bytesSize) {
+			throw new AbiEncodeError(`${JSON.stringify(value)} is too long for ${type}`);
+		}
+		return ethjs.setLengthRight(bytes, 32);
+	}
+	const intType = util.parseIntegerType(type);
+	if (intType) {
+		const n = util.toInteger(value);
+		if (!util.isIntegerInRange(n, intType)) {
+			throw new AbiEncodeError(`${value} is out of range for ${type}`);
+		}
+		return encodeWord(n);
+	}
+	throw new InvalidAbiError(`unsupported type ${JSON.stringify(type)}`);
+}
+
+function encodeWord(n) {
+	return n.toTwos(256).toArrayLike(Buffer, 'be', 32);
+}
+
+function decodeTuple(params, buf, offset) {
+	const values = [];
+	let head = offset;
+	for (const param of params) {
+		let value;
+		if (isDynamicType(param)) {
+			value = decodeValue(param, buf, offset + readLength(buf, head));
+		} else {
+			value = decodeValue(param, buf, head);
+		}
+		head += getHeadSize(param);
+		values.push(value);
+	}
+	params.forEach((param, i) => {
+		if (param.name && !(param.name in values)) {
+			values[param.name] = values[i];
+		}
+	});
+	return values;
+}
+
+function decodeValue(param, buf, offset) {
+	const type = param.type;
+	const arrayType = util.parseArrayType(type);
+	if (arrayType) {
+		const itemParam = { ...param, name: undefined, type: arrayType.itemType };
+		if (!_.isNil(arrayType.size)) {
+			return decodeTuple(
+				_.times(arrayType.size, () => itemParam),
+				buf,
+				offset,
+			);
+		}
+		const length = readLength(buf, offset);
+		return decodeTuple(_.times(length, () => itemParam), buf, offset + 32);
+	}
+	if (type === 'tuple') {
+		return decodeTuple(param.components, buf, offset);
+	}
+	if (type === 'bytes' || type === 'string') {
+		const length = readLength(buf, offset);
+		const bytes = readBytes(buf, offset + 32, length);
+		return type === 'string'
+			? bytes.toString('utf8')
+			: ethjs.bufferToHex(bytes);
+	}
+	const word = readBytes(buf, offset, 32);
+	if (type === 'address') {
+		return util.toChecksumAddress(ethjs.bufferToHex(word.slice(12)));
+	}
+	if (type === 'bool') {
+		return !new ethjs.BN(word).isZero();
+	}
+	const bytesSize = util.parseFixedBytesType(type);
+	if (!_.isNil(bytesSize)) {
+		return ethjs.bufferToHex(word.slice(0, bytesSize));
+	}
+	const intType = util.parseIntegerType(type);
+	if (intType) {
+		const n = new ethjs.BN(word);
+		return (intType.signed ? n.fromTwos(256) : n).toString(10);
+	}
+	throw new InvalidAbiError(`unsupported type ${JSON.stringify(type)}`);
+}
+
+function readBytes(buf, offset, length) {
+	if (offset + length > buf.length) {
+		throw new AbiDecodeError(offset + length, buf.length);
+	}
+	return buf.slice(offset, offset + length);
+}
+
+function readLength(buf, offset) {
+	const n = new ethjs.BN(readBytes(buf, offset, 32));
+	if (n.gtn(buf.length)) {
+		throw new AbiDecodeError(n.toString(10), buf.length);
+	}
+	return n.toNumber();
+}
+
+function isDynamicType(param) {
+	const arrayType = util.parseArrayType(param.type);
+	if (arrayType) {
+		return _.isNil(arrayType.size) || isDynamicType({ ...param, type: arrayType.itemType });
+	}
+	if (param.type === 'tuple') {
+		return param.components.some(isDynamicType);
+	}
+	return param.type === 'bytes' || param.type === 'string';
+}
+
+// Size of a parameter in the head of its enclosing tuple.
+function getHeadSize(param) {
+	if (isDynamicType(param)) {
+		return 32;
+	}
+	const arrayType = util.parseArrayType(param.type);
+	if (arrayType) {
+		return arrayType.size *
+			getHeadSize({ ...param, type: arrayType.itemType });
+	}
+	if (param.type === 'tuple') {
+		return _.sumBy(param.components, getHeadSize);
+	}
+	return 32;
+}
+
+function normalizeParam(param) {
+	if (_.isString(param)) {
+		return parseParam(param);
+	}
+	const type = normalizeType(param.type);
+	return _.omitBy({
+		...param,
+		type,
+		components: param.components
+			? param.components.map(normalizeParam)
+			: undefined,
+	}, _.isUndefined);
+}
+
+function normalizeType(type) {
+	return type
+		.replace(/^(u?int)(?=$|\[)/, '$1256');
+}
+
+function parseParams(s) {
+	s = s.trim();
+	if (!s) {
+		return [];
+	}
+	const parts = [];
+	let depth = 0;
+	let start = 0;
+	for (let i = 0; i < s.length; ++i) {
+		if (s[i] === '(') {
+			++depth;
+		} else if (s[i] === ')') {
+			--depth;
+		} else if (s[i] === ',' && depth === 0) {
+			parts.push(s.slice(start, i));
+			start = i + 1;
+		}
+	}
+	parts.push(s.slice(start));
+	return parts.map(parseParam);
+}
+
+function parseParam(s) {
+	s = s.trim().replace(/^tuple(?=\s*\()/, '');
+	let type;
+	let components;
+	let rest;
+	if (s.startsWith('(')) {
+		const close = findClosingParen(s, 0);
+		components = parseParams(s.slice(1, close));
+		const suffix = /^(\[[0-9]*\])*/.exec(s.slice(close + 1))[0];
+		type = `tuple${suffix}`;
+		rest = s.slice(close + 1 + suffix.length);
+	} else {
+		const m = /^([a-zA-Z0-9]+(\[[0-9]*\])*)(.*)$/.exec(s);
+		if (!m) {
+			throw new InvalidAbiError(`cannot parse parameter ${JSON.stringify(s)}`);
+		}
+		type = normalizeType(m[1]);
+		rest = m[3];
+	}
+	const words = rest.trim().split(/\s+/).filter(w => w);
+	const name = _.without(words, ...PARAM_MODIFIERS)[0];
+	return _.omitBy({
+		name: name || '',
+		type,
+		components,
+		indexed: words.includes('indexed') || undefined,
+	}, _.isUndefined);
+}
+
+function findClosingParen(s, open) {
+	let depth = 0;
+	for (let i = open; i < s.length; ++i) {
+		if (s[i] === '(') {
+			++depth;
+		} else if (s[i] === ')' && --depth === 0) {
+			return i;
+		}
+	}
+	throw new InvalidAbiError(`unbalanced parentheses in ${JSON.stringify(s)}`);
+}
+
+class InvalidAbiError extends Error {
+	constructor(reason) {
+		super(`Invalid ABI: ${reason}`);
+		this.name = this.constructor.name;
+	}
+};
+
+class AbiEncodeError extends Error {
+	constructor(reason) {
+		super(`Cannot ABI-encode: ${reason}`);
+		this.name = this.constructor.name;
+	}
+};
+
+class AbiDecodeError extends Error {
+	constructor(needed, length) {
+		super(`ABI data is too short (needed ${needed} bytes but have ${length})`);
+		this.name = this.constructor.name;
+	}
+};
+
+module.exports = {
+	parseFragment,
+	formatSignature,
+	formatType,
+	getSelector,
+	encodeParameters,
+	encodeFunctionCall,
+	decodeParameters,
+	decodeFunctionResult,
+	decodeWithSelector,
+	getEventTopic,
+	encodeEventTopics,
+	decodeLog,
+	decodeLogs,
+	InvalidAbiError,
+	AbiEncodeError,
+	AbiDecodeError,
+};
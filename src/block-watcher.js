@@ -0,0 +1,114 @@
+'use strict'
+const _ = require('lodash');
+
+const { isMethodNotFoundError } = require('./rpc-client');
+const Watcher = require('./watcher');
+
+// How many recent blocks to remember for detecting reorgs.
+const MAX_TRACKED_BLOCKS = 64;
+
+// Follows new blocks, in order. Uses a `newHeads` subscription if the
+// provider supports them and polls for the latest block otherwise. Blocks
+// skipped between updates are filled in and blocks orphaned by a reorg are
+// passed again with `removed: true` before the new chain.
+module.exports = class BlockWatcher extends Watcher {
+	constructor(inst, opts={}) {
+		super(inst, opts.onBlock, opts);
+		this._fullTransactions = !!opts.fullTransactions;
+		this._subscription = null;
+		// Blocks we've passed along, oldest first.
+		this._chain = [];
+		// Updates from a subscription have to be handled one at a time.
+		this._updating = Promise.resolve();
+		this._init(this._start());
+	}
+
+	async _start() {
+		const rpc = this._inst.rpc;
+		this._chain = [ await this._getBlock('latest') ];
+		if (rpc.supportsSubscriptions()) {
+			try {
+				this._subscription = await rpc.subscribeNewHeads(
+					header => {
+						this._updating = this._updating
+							.then(() => this._update(header))
+							.catch(err => this._fail(err));
+					},
+				);
+				this.mode = 'subscription';
+				return;
+			} catch (err) {
+				if (!isMethodNotFoundError(err)) {
+					throw err;
+				}
+			}
+		}
+		this.mode = 'poll';
+		this._schedule();
+	}
+
+	async _cleanup() {
+		if (this._subscription) {
+			await this._subscription.unsubscribe();
+		}
+	}
+
+	async _poll() {
+		return this._update(await this._getBlock('latest'));
+	}
+
+	async _getBlock(numberOrHash) {
+		const block = await this._inst.rpc.getBlock(numberOrHash, this._fullTransactions);
+		if (!block) {
+			throw new Error(`Block ${numberOrHash} not found.`);
+		}
+		return block;
+	}
+
+	// Move to a new head, walking back through its ancestors (by `parentHash`)
+	// until we reach a block we already know about.
+	async _update(head) {
+		if (this._stopped) {
+			return;
+		}
+		const known = _.find(this._chain, b => b.number === head.number);
+		if (known && known.hash === head.hash) {
+			return;
+		}
+		const tip = _.last(this._chain);
+		// New blocks, newest first.
+		const blocks = [];
+		let block = head;
+		while (true) {
+			blocks.push(block);
+			if (block.number - 1 < this._chain[0].number) {
+				// Too far back to tell.
+				break;
+			}
+			if (block.number - 1 <= tip.number) {
+				const parent = _.find(this._chain, b => b.number === block.number - 1);
+				if (parent.hash === block.parentHash) {
+					break;
+				}
+			}
+			block = await this._getBlock(block.parentHash);
+		}
+		const forkNumber = _.last(blocks).number;
+		const [orphaned, kept] = _.partition(this._chain, b => b.number >= forkNumber);
+		this._chain = kept;
+		for (const b of orphaned.reverse()) {
+			this._emit({ ...b, removed: true });
+		}
+		for (let b of blocks.reverse()) {
+			if (!_.isArray(b.transactions)) {
+				// Headers from subscriptions don't have transactions.
+				b = await this._getBlock(b.hash);
+			}
+			this._chain.push(b);
+			this._emit(b);
+		}
+		if (this._chain.length > MAX_TRACKED_BLOCKS) {
+			this._chain = this._chain.slice(-MAX_TRACKED_BLOCKS);
+		}
+	}
+}
@@ -0,0 +1,281 @@
+'use strict'
+const _ = require('lodash');
+const ethjs = require('ethereumjs-util');
+
+const { sendProviderPayload, isLogRangeError } = require('./rpc-client');
+
+// Sending these twice could execute them twice.
+const NON_IDEMPOTENT_METHODS = ['eth_sendTransaction'];
+// Methods that create a filter, which only the provider that created it knows.
+const NEW_FILTER_METHODS = [
+	'eth_newFilter',
+	'eth_newBlockFilter',
+	'eth_newPendingTransactionFilter',
+];
+const FILTER_METHODS = [
+	'eth_getFilterChanges',
+	'eth_getFilterLogs',
+	'eth_uninstallFilter',
+];
+// State reads that return the same thing from every (synced) provider, as
+// long as they're pinned to a block. Values are where the block parameter is.
+const BLOCK_PARAM_INDEX_BY_METHOD = {
+	eth_getBalance: 1,
+	eth_getCode: 1,
+	eth_getTransactionCount: 1,
+	eth_getStorageAt: 2,
+	eth_call: 1,
+	eth_getBlockByNumber: 0,
+};
+const BLOCK_TAGS = ['latest', 'pending', 'earliest', 'safe', 'finalized'];
+const RETRYABLE_ERROR_CODES = [429, -32005];
+const RETRYABLE_ERROR_NAMES = [
+	'ETIMEDOUT',
+	'ESOCKETTIMEDOUT',
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'EAI_AGAIN',
+];
+const RETRYABLE_ERROR_REGEX = /time(d)?\s*out|rate limit|too many requests|\b(429|502|503|504)\b|socket hang up|invalid json rpc response|connection error/i;
+const KNOWN_TRANSACTION_REGEX = /already known|known transaction|already imported/i;
+
+module.exports = class FallbackProvider {
+	constructor(providers, opts={}) {
+		providers = _.castArray(providers);
+		if (providers.length === 0) {
+			throw new Error('At least one provider is required.');
+		}
+		const _opts = _.defaults({}, opts, {
+			retries: 3,
+			minDelay: 250,
+			maxDelay: 8000,
+			backoffFactor: 2,
+			cooldown: 30 * 1000,
+			quorum: 1,
+			isRetryable: isRetryableError,
+		});
+		this.providers = providers.map(provider => ({
+			provider,
+			failures: 0,
+			unhealthyUntil: 0,
+		}));
+		this.retries = _opts.retries;
+		this.minDelay = _opts.minDelay;
+		this.maxDelay = _opts.maxDelay;
+		this.backoffFactor = _opts.backoffFactor;
+		this.cooldown = _opts.cooldown;
+		this.quorum = _opts.quorum;
+		this.isRetryable = _opts.isRetryable;
+		// Which provider created each filter ID.
+		this._filterProviders = {};
+	}
+
+	async sendPayload(payload) {
+		const payloads = _.castArray(payload);
+		const methods = payloads.map(p => p.method);
+		// Anything else (new blocks, fees, pending state) can legitimately
+		// differ between healthy providers, so it goes to just one.
+		if (this.quorum > 1 && payloads.every(isPinnedRead)) {
+			return this._sendWithQuorum(payload);
+		}
+		const filterProvider = _.find(
+			payloads.map(p => FILTER_METHODS.includes(p.method)
+				&& this._filterProviders[_.get(p, ['params', 0])]),
+		);
+		return this._sendWithRetries(
+			payload,
+			!methods.some(m => NON_IDEMPOTENT_METHODS.includes(m)),
+			filterProvider ? [ filterProvider ] : this._getCandidates(),
+		);
+	}
+
+	async _sendWithRetries(payload, canRetry=true, candidates=this._getCandidates()) {
+		const maxAttempts = canRetry ? this.retries + 1 : 1;
+		let lastError;
+		let lastResponse;
+		for (let attempt = 0; attempt < maxAttempts; ++attempt) {
+			// Only back off once every provider has had a go.
+			const round = Math.floor(attempt / candidates.length);
+			if (attempt > 0 && attempt % candidates.length === 0) {
+				await wait(Math.min(
+					this.maxDelay,
+					this.minDelay * this.backoffFactor ** (round - 1),
+				));
+			}
+			const entry = candidates[attempt % candidates.length];
+			lastError = lastResponse = undefined;
+			try {
+				lastResponse = await sendProviderPayload(entry.provider, payload);
+			} catch (err) {
+				lastError = err;
+			}
+			if (lastResponse && attempt > 0) {
+				// A transaction we already broadcast through another provider
+				// isn't an error.
+				lastResponse = resolveKnownTransactions(payload, lastResponse);
+			}
+			const err = lastError || findResponseError(lastResponse, this.isRetryable);
+			if (!err) {
+				this._markHealthy(entry);
+				this._trackFilters(entry, payload, lastResponse);
+				return lastResponse;
+			}
+			if (!this.isRetryable(err)) {
+				break;
+			}
+			this._markFailed(entry);
+		}
+		if (lastError) {
+			throw lastError;
+		}
+		return lastResponse;
+	}
+
+	async _sendWithQuorum(payload) {
+		const candidates = this._getCandidates();
+		const responses = _.compact(await Promise.all(candidates.map(async entry => {
+			try {
+				const response = await sendProviderPayload(entry.provider, payload);
+				this._markHealthy(entry);
+				return response;
+			} catch (err) {
+				this._markFailed(entry);
+			}
+		})));
+		const groups = _.groupBy(responses, r => JSON.stringify(
+			_.castArray(r).map(r => _.pick(r, ['result', 'error'])),
+		));
+		const agreed = _.maxBy(Object.values(groups), g => g.length) || [];
+		if (agreed.length < this.quorum) {
+			throw new QuorumNotReachedError(
+				_.castArray(payload).map(p => p.method),
+				agreed.length,
+				this.quorum,
+			);
+		}
+		return agreed[0];
+	}
+
+	// Remember which provider created new filters so later calls for them
+	// go to the same provider.
+	_trackFilters(entry, payload, response) {
+		const responses = _.castArray(response);
+		for (const p of _.castArray(payload)) {
+			const r = responses.find(r => r && r.id === p.id);
+			if (!r || r.error) {
+				continue;
+			}
+			if (NEW_FILTER_METHODS.includes(p.method)) {
+				this._filterProviders[r.result] = entry;
+			} else if (p.method === 'eth_uninstallFilter') {
+				delete this._filterProviders[p.params[0]];
+			}
+		}
+	}
+
+	// Healthy providers first, in the order they were given, followed by
+	// providers that have been failing, soonest to recover first.
+	_getCandidates() {
+		const now = _.now();
+		const [healthy, unhealthy] = _.partition(
+			this.providers,
+			entry => entry.unhealthyUntil <= now,
+		);
+		return [...healthy, ..._.sortBy(unhealthy, e => e.unhealthyUntil)];
+	}
+
+	_markHealthy(entry) {
+		entry.failures = 0;
+		entry.unhealthyUntil = 0;
+	}
+
+	_markFailed(entry) {
+		entry.failures += 1;
+		entry.unhealthyUntil = _.now() + this.cooldown;
+	}
+};
+
+function isRetryableError(err) {
+	// Infura reports too many logs with the same code as rate limiting, but
+	// retrying won't help.
+	if (!err || isLogRangeError(err)) {
+		return false;
+	}
+	if (RETRYABLE_ERROR_CODES.includes(err.code) ||
+		RETRYABLE_ERROR_CODES.includes(err.status) ||
+		RETRYABLE_ERROR_CODES.includes(err.statusCode)) {
+		return true;
+	}
+	if (RETRYABLE_ERROR_NAMES.includes(err.code)) {
+		return true;
+	}
+	return RETRYABLE_ERROR_REGEX.test(err.message || '');
+}
+
+function isPinnedRead(payload) {
+	if (payload.method === 'eth_getBlockByHash') {
+		return true;
+	}
+	if (payload.method === 'eth_getLogs') {
+		const filter = _.get(payload, ['params', 0]) || {};
+		// `blockhash` is the spelling in the spec, but some clients send
+		// `blockHash`.
+		return !!(filter.blockhash || filter.blockHash)
+			|| (isPinnedBlock(filter.fromBlock) && isPinnedBlock(filter.toBlock));
+	}
+	if (!_.has(BLOCK_PARAM_INDEX_BY_METHOD, payload.method)) {
+		return false;
+	}
+	return isPinnedBlock(
+		_.get(payload, ['params', BLOCK_PARAM_INDEX_BY_METHOD[payload.method]]),
+	);
+}
+
+// A block number, hash, or EIP-1898 block object, but not a tag
+// like 'latest'.
+function isPinnedBlock(block) {
+	if (_.isPlainObject(block)) {
+		return !!(block.blockHash || block.blockNumber);
+	}
+	return _.isString(block) && !BLOCK_TAGS.includes(block);
+}
+
+function findResponseError(response, isRetryable) {
+	return _.castArray(response)
+		.map(r => r && r.error)
+		.find(e => e && isRetryable(e));
+}
+
+function resolveKnownTransactions(payload, response) {
+	const payloads = _.castArray(payload);
+	const responses = _.castArray(response).map(r => {
+		const p = payloads.find(p => p.id === r.id);
+		if (p && p.method === 'eth_sendRawTransaction' && r.error &&
+				KNOWN_TRANSACTION_REGEX.test(r.error.message || '')) {
+			const raw = ethjs.toBuffer(p.params[0]);
+			return {
+				jsonrpc: r.jsonrpc,
+				id: r.id,
+				result: ethjs.bufferToHex(ethjs.keccak256(raw)),
+			};
+		}
+		return r;
+	});
+	return _.isArray(response) ? responses : responses[0];
+}
+
+function wait(ms) {
+	return new Promise(accept => setTimeout(accept, ms));
+}
+
+class QuorumNotReachedError extends Error {
+	constructor(methods, agreed, quorum) {
+		super(`Only ${agreed} of ${quorum} required providers agreed on ${JSON.stringify(methods)}`);
+		this.name = this.constructor.name;
+		this.agreed = agreed;
+		this.quorum = quorum;
+	}
+};
+
+module.exports.isRetryableError = isRetryableError;
+module.exports.QuorumNotReachedError = QuorumNotReachedError;
@@ -3,14 +3,22 @@ const _ = require('lodash');
 const assert = require('assert');
 const BigNumber = require('bignumber.js');
 const cw3p = require('create-web3-provider');
-const ethjsTx = require('@ethereumjs/tx');
 const ethjscom = require('@ethereumjs/common').default;
 const ethjs = require('ethereumjs-util');
 
 const util = require('./util');
+const abi = require('./abi');
+const wallet = require('./wallet');
 const Resolver = require('./resolver');
 const RpcClient = require('./rpc-client');
+const { CallRevertedError, isLogRangeError } = RpcClient;
+const NonceManager = require('./nonce-manager');
+const FallbackProvider = require('./fallback-provider');
+const { Signer, KeySigner, ProviderSigner } = require('./signers');
 const createTransactionPromise = require('./transaction-promise');
+const LogWatcher = require('./log-watcher');
+const BlockWatcher = require('./block-watcher');
+const multicall = require('./multicall');
 
 function createCommonFork(chainId, fork='istanbul', parentChain='mainnet') {
 	return ethjscom.forCustomChain(
@@ -24,28 +32,49 @@ function createCommonFork(chainId, fork='istanbul', parentChain='mainnet') {
 }
 
 const TX_TYPE_FOR_HARDFORK = {
-	'london': ethjsTx.FeeMarketEIP1559Transaction,
-	'berlin': ethjsTx.AccessListEIP2930Transaction,
-	'istanbul': ethjsTx.Transaction,
+	'london': 2, // EIP-1559
+	'berlin': 1, // EIP-2930
+	'istanbul': 0, // Legacy
 };
 
+// Nodes won't accept a replacement transaction unless its fees are
+// at least 10% higher than the one it replaces.
+const MIN_REPLACEMENT_FEE_BONUS = 0.1;
+
+// Errors nodes send back for a transaction they (or their peers) already
+// have, or whose nonce is already taken.
+const KNOWN_TX_ERROR_REGEX = /already known|known transaction|already imported|already exists|nonce too low|replacement transaction underpriced/i;
+
+// How many blocks `iterateLogs()` asks for at once, by default.
+const DEFAULT_LOG_CHUNK_SIZE = 2000;
+
+// Turn a `{ [fork]: block }` schedule into `{ block, common }`s, latest
+// fork first.
+function createForkSchedule(chainId, forks, parentChain='mainnet') {
+	return _.orderBy(
+		_.map(forks, (block, fork) => {
+			if (!_.has(TX_TYPE_FOR_HARDFORK, fork)) {
+				throw new Error(`Unsupported hardfork "${fork}" for chain ID ${chainId}. Must be one of: ${_.keys(TX_TYPE_FOR_HARDFORK).join(', ')}.`);
+			}
+			return { block, common: createCommonFork(chainId, fork, parentChain) };
+		}),
+		'block',
+		'desc',
+	);
+}
+
 const HARD_FORKS_BY_CHAIN_ID = {
-	'1': [
-		{ block: 12965000, common: createCommonFork(1, 'london') },
-		{ block: 12244000, common: createCommonFork(1, 'berlin') },
-		{ block: 0, common: createCommonFork(1, 'istanbul') },
-	],
-	'3': [
-		{ block: 10499401, common: createCommonFork(3, 'london') },
-		{ block: 9812189, common: createCommonFork(3, 'berlin') },
-		{ block: 0, common: createCommonFork(3, 'istanbul') },
-	],
+	'1': createForkSchedule(1, { london: 12965000, berlin: 12244000, istanbul: 0 }),
+	'3': createForkSchedule(3, { london: 10499401, berlin: 9812189, istanbul: 0 }),
 };
 
 module.exports = class FlexEther {
 	constructor(opts={}) {
 		this.provider = opts.provider;
-		if (!this.provider) {
+		if (_.isArray(opts.providers)) {
+			this.provider = opts.providers.map(p =>
+				_.isString(p) ? cw3p({ uri: p, net: opts.net }) : p);
+		} else if (!this.provider) {
 			this.provider = cw3p({
 				ws: opts.ws,
 				infuraKey: opts.infuraKey,
@@ -54,11 +83,37 @@ module.exports = class FlexEther {
 				net: opts.net,
 			});
 		}
-		this.rpc = new RpcClient(this.provider);
+		if (_.isArray(this.provider) || opts.retry || opts.quorum) {
+			this.provider = new FallbackProvider(
+				this.provider,
+				{ ...opts.retry, quorum: opts.quorum },
+			);
+		}
+		this.rpc = new RpcClient(this.provider, {
+			batch: opts.batch,
+			middleware: opts.middleware,
+		});
 		this._resolver = new Resolver(this.rpc, opts.ens);
+		this.nonces = new NonceManager(this.rpc);
+		this.signer = opts.signer;
+		this.errorAbi = opts.errorAbi || [];
+		this.rejectOnFailure = opts.rejectOnFailure === true;
+		// Address of the Multicall3 contract, or an object of them by chain ID.
+		this.multicallAddress = opts.multicallAddress;
+		// Chain definitions (`{forks, parentChain}`) by chain ID.
+		this.chains = opts.chains || {};
+		this._forkSchedules = {};
+		// Latest block we've seen without a base fee, when detecting London.
+		this._preLondonBlock = -1;
 		this.gasBonus = _.isNumber(opts.gasBonus) ? opts.gasBonus : 0.5;
 		this.gasPriceBonus = _.isNumber(opts.gasPriceBonus) ?
 			opts.gasPriceBonus : 0.005;
+		this.droppedTimeout = _.isNumber(opts.droppedTimeout) ?
+			opts.droppedTimeout : 5 * 60 * 1000;
+		this.confirmationInterval = _.isNumber(opts.confirmationInterval) ?
+			opts.confirmationInterval : 4 * 1000;
+		this.pollInterval = _.isNumber(opts.pollInterval) ?
+			opts.pollInterval : 4 * 1000;
 	}
 
 	async getChainId() {
@@ -67,27 +122,77 @@ module.exports = class FlexEther {
 
 	async _getChainCommon(blockNumber=undefined) {
 		if (!_.isNil(blockNumber)) {
-			blockNumber = this.resolveBlockDirective(blockNumber);
-		} else {
-			blockNumber = await this.getBlockNumber();
+			blockNumber = await this.resolveBlockDirective(blockNumber);
 		}
-		const chainId = await this.getChainId();
-		const forks = HARD_FORKS_BY_CHAIN_ID[chainId]
-			|| [ { block: 0, common: createCommonFork(chainId, 'istanbul') } ];
-		for (const fork of forks) {
+		if (!_.isNumber(blockNumber)) {
+			blockNumber = blockNumber === 'earliest' ? 0 : await this.getBlockNumber();
+		}
+		const schedule = await this._getForkSchedule(blockNumber);
+		for (const fork of schedule) {
 			if (fork.block <= blockNumber) {
 				return fork.common;
 			}
 		}
+		// Before any fork we know about.
+		return _.last(schedule).common;
+	}
+
+	async _getForkSchedule(blockNumber) {
+		const chainId = await this.getChainId();
+		const chain = this.chains[chainId] || {};
+		const forks = chain.forks
+			|| (HARD_FORKS_BY_CHAIN_ID[chainId] ? undefined : 'auto');
+		if (!forks) {
+			return HARD_FORKS_BY_CHAIN_ID[chainId];
+		}
+		if (this._forkSchedules[chainId]) {
+			return this._forkSchedules[chainId];
+		}
+		if (forks === 'auto') {
+			const londonBlock = await this._detectLondonBlock(blockNumber);
+			if (_.isNil(londonBlock)) {
+				// Not yet, but the chain could still upgrade.
+				return createForkSchedule(chainId, { istanbul: 0 }, chain.parentChain);
+			}
+			return this._forkSchedules[chainId] = createForkSchedule(
+				chainId,
+				{ london: londonBlock, istanbul: 0 },
+				chain.parentChain,
+			);
+		}
+		return this._forkSchedules[chainId] = createForkSchedule(
+			chainId,
+			forks,
+			chain.parentChain,
+		);
+	}
+
+	// London is live at a block if it has a base fee. Remember the last block
+	// without one so we don't keep asking about it.
+	async _detectLondonBlock(blockNumber) {
+		if (blockNumber <= this._preLondonBlock) {
+			return null;
+		}
+		const block = await this.rpc.getBlock(blockNumber);
+		if (block && !_.isNil(block.baseFeePerGas)) {
+			return block.number;
+		}
+		if (block) {
+			this._preLondonBlock = block.number;
+		}
+		return null;
 	}
 
 	async getDefaultAccount() {
 		return this.rpc.getDefaultAccount();
 	}
 
-	async getTransactionCount(addr) {
+	async getTransactionCount(addr, block='latest') {
 		addr = await this._resolver.resolve(addr);
-		return this.rpc.getTransactionCount(addr);
+		return this.rpc.getTransactionCount(
+			addr,
+			await this.resolveBlockDirective(block),
+		);
 	}
 
 	async getTransactionReceipt(txHash) {
@@ -117,21 +222,73 @@ module.exports = class FlexEther {
 		return this.rpc.getMaxPriorityFeePerGas();
 	}
 
+	// Get past logs matching a filter. If the filter has an `event`
+	// (a name in `abi` or a signature/fragment), topics are built from the
+	// event and its indexed `args`. Logs are decoded against the event or `abi`.
+	// Ranges the provider refuses to serve in one go are split up.
 	async getPastLogs(filter) {
-		return this.rpc.getLogs({
-			...filter,
-			fromBlock: !_.isNil(filter.fromBlock) ?
-				await this.resolveBlockDirective(filter.fromBlock) : undefined,
-			toBlock: !_.isNil(filter.toBlock) ?
-				await this.resolveBlockDirective(filter.toBlock) : undefined,
-			address: !_.isNil(filter.address) ?
-				await this.resolve(filter.address) : undefined,
-		});
+		const query = await createLogQuery(this, filter);
+		let rangeError;
+		try {
+			return query.decode(await this.rpc.getLogs(query.filter));
+		} catch (err) {
+			if (!isLogRangeError(err) || query.filter.blockhash) {
+				throw err;
+			}
+			rangeError = err;
+		}
+		const logs = [];
+		const iter = iterateQueryLogs(this, query, { chunkSize: Infinity }, rangeError);
+		for await (const log of iter) {
+			logs.push(log);
+		}
+		return logs;
+	}
+
+	// Iterate over past logs matching a filter (same as `getPastLogs()`),
+	// fetching `opts.chunkSize` blocks at a time. The chunk size shrinks
+	// whenever the provider rejects a range as too large and grows back after.
+	// `opts.onProgress({fromBlock, toBlock})` is called once all the logs in
+	// a chunk have been consumed.
+	async *iterateLogs(filter, opts={}) {
+		yield* iterateQueryLogs(this, await createLogQuery(this, filter), opts);
 	}
 
-	async getBlock(numberOrHash='latest') {
+	// Watch for new logs matching a filter (same as `getPastLogs()`, minus the
+	// block range), calling `handler(log)` with each one. Logs undone by a
+	// reorg are passed again with `removed: true`. Without a handler, the
+	// returned watcher is an async iterator over the logs. Call `unsubscribe()`
+	// on the returned watcher to stop.
+	watchLogs(filter, handler=undefined, opts={}) {
+		if (!_.isFunction(handler) && _.isObject(handler)) {
+			opts = handler;
+			handler = undefined;
+		}
+		return new LogWatcher(
+			this,
+			createLogQuery(this, _.omit(filter, ['fromBlock', 'toBlock', 'blockhash'])),
+			{ ...opts, onLog: handler },
+		);
+	}
+
+	// Watch for new blocks, calling `handler(block)` with each one in order.
+	// Blocks skipped between updates are filled in, and blocks orphaned by a
+	// reorg are passed again with `removed: true` before the new ones. Pass
+	// `opts.fullTransactions` to get whole transactions instead of hashes.
+	// Like `watchLogs()`, the returned watcher is an async iterator if there's
+	// no handler, and `unsubscribe()` stops it.
+	watchBlocks(handler=undefined, opts={}) {
+		if (!_.isFunction(handler) && _.isObject(handler)) {
+			opts = handler;
+			handler = undefined;
+		}
+		return new BlockWatcher(this, { ...opts, onBlock: handler });
+	}
+
+	async getBlock(numberOrHash='latest', opts={}) {
 		return this.rpc.getBlock(
 			await this.resolveBlockDirective(numberOrHash),
+			opts.fullTransactions,
 		);
 	}
 
@@ -166,21 +323,22 @@ module.exports = class FlexEther {
 
 	async estimateGas(to, opts={}) {
 		const txOpts = await createTransactionOpts(this, to, opts);
-		return await estimateGasRaw(this, txOpts, opts.block, opts.gasBonus);
+		return await estimateGasRaw(this, txOpts, opts);
 	}
 
 	send(to, opts={}) {
-		return createTransactionPromise(this, sendTx(this, to, opts));
+		return createSentTransactionPromise(this, sendTx(this, to, opts), opts);
 	}
 
-	transfer(to, amount, opts) {
-		return createTransactionPromise(
+	transfer(to, amount, opts={}) {
+		return createSentTransactionPromise(
 			this,
 			sendTx(
 				this,
 				to,
 				_.assign({}, opts, { value: amount })
-			)
+			),
+			opts,
 		);
 	}
 
@@ -188,6 +346,105 @@ module.exports = class FlexEther {
 		return callTx(this, to, opts);
 	}
 
+	// Call a contract function, given its human-readable signature
+	// (e.g., `balanceOf(address) returns (uint256)`) or JSON ABI fragment,
+	// and decode what it returns.
+	async callFunction(to, fn, args=[], opts={}) {
+		const fragment = abi.parseFragment(fn);
+		const result = await this.call(to, {
+			...opts,
+			data: await encodeFunctionCall(this, fragment, args, opts.block),
+		});
+		if (fragment.outputs.length === 0) {
+			return result;
+		}
+		return abi.decodeFunctionResult(fragment, result);
+	}
+
+	// Make several read-only calls (`{to, data, block}`) through a Multicall3
+	// contract's `aggregate3()`, one `eth_call` per block. Resolves to each
+	// call's return data, or throws the first failure. With `opts.allowFailure`,
+	// resolves to `{success, result, error}` for each call instead.
+	async multicall(calls, opts={}) {
+		const groups = _.groupBy(
+			calls.map((c, index) => ({
+				...c,
+				index,
+				block: _.isNil(c.block) ? opts.block : c.block,
+			})),
+			c => _.isNil(c.block) ? 'latest' : c.block,
+		);
+		const results = [];
+		await Promise.all(Object.values(groups).map(async group => {
+			const block = group[0].block;
+			const returns = await aggregateCalls(this, group, { ...opts, block });
+			group.forEach((c, i) => {
+				const { success, returnData } = returns[i];
+				results[c.index] = success
+					? { success, result: returnData }
+					: {
+						success,
+						result: returnData,
+						error: decodeCallError(
+							this,
+							new CallRevertedError(
+								`Multicall to ${c.to} reverted, errorData=${returnData}`,
+								{ errorReturnData: returnData },
+							),
+							opts.errorAbi,
+						),
+					};
+			});
+		}));
+		if (opts.allowFailure) {
+			return results;
+		}
+		const failed = results.find(r => !r.success);
+		if (failed) {
+			throw failed.error;
+		}
+		return results.map(r => r.result);
+	}
+
+	// Send a transaction calling a contract function, given its human-readable
+	// signature or JSON ABI fragment.
+	sendFunction(to, fn, args=[], opts={}) {
+		return createSentTransactionPromise(
+			this,
+			(async () => sendTx(this, to, {
+				...opts,
+				data: await encodeFunctionCall(this, abi.parseFragment(fn), args),
+			}))(),
+			opts,
+		);
+	}
+
+	// Sign an EIP-191 personal message with the same account a transaction
+	// with these `opts` would be sent from.
+	async signMessage(message, opts={}) {
+		const from = _.isString(opts.from)
+			? await this.resolve(opts.from)
+			: undefined;
+		return getSigner(this, opts, from).signMessage(message);
+	}
+
+	// Sign EIP-712 typed data. `types` doesn't need to include `EIP712Domain`
+	// and the primary type is inferred unless given as `opts.primaryType`.
+	async signTypedData(domain, types, message, opts={}) {
+		const from = _.isString(opts.from)
+			? await this.resolve(opts.from)
+			: undefined;
+		return getSigner(this, opts, from).signTypedData({
+			types: {
+				EIP712Domain: util.getDomainFields(domain),
+				...types,
+			},
+			domain,
+			primaryType: opts.primaryType || util.getPrimaryType(types),
+			message,
+		});
+	}
+
 	async getBlockNumber() {
 		return this.rpc.getBlockNumber();
 	}
@@ -213,29 +470,218 @@ module.exports = class FlexEther {
 	async resolve(addr, block='latest') {
 		if (!addr)
 			throw new Error(`Invalid address: "${addr}"`);
-		return this._resolver.resolve(addr, block);
+		if (ethjs.isValidAddress(addr)) {
+			return ethjs.toChecksumAddress(addr);
+		}
+		return this._resolver.resolve(
+			addr,
+			await this.resolveBlockDirective(block),
+		);
+	}
+
+	// Get the primary ENS name of an address, or `null` if it doesn't have one.
+	async lookupAddress(addr, block='latest') {
+		if (!addr)
+			throw new Error(`Invalid address: "${addr}"`);
+		return this._resolver.lookup(
+			addr,
+			await this.resolveBlockDirective(block),
+		);
 	}
 };
 
-async function getBlockGasLimit(inst) {
-	while (true) {
-		const lastBlock = await inst.getBlock();
-		if (lastBlock != null)
-			return lastBlock.gasLimit || 8e6;
+async function encodeFunctionCall(inst, fragment, args, block) {
+	return abi.encodeFunctionCall(
+		fragment,
+		await resolveAddressArgs(inst, fragment.inputs, args, block),
+	);
+}
+
+// Resolve any ENS names passed for address params, however deeply nested.
+async function resolveAddressArgs(inst, params, values, block) {
+	if (!_.isArray(values)) {
+		if (!_.isObject(values)) {
+			return values;
+		}
+		values = params.map(p => values[p.name]);
 	}
+	return Promise.all(values.map((v, i) =>
+		params[i] ? resolveAddressArg(inst, params[i], v, block) : v));
 }
 
-async function estimateGasRaw(inst, txOpts, block, bonus) {
-	bonus = (_.isNumber(bonus) ? bonus : inst.gasBonus) || 0;
-	block = _.isNil(block)
-		? undefined : await inst.resolveBlockDirective(block);
-	const gas = await inst.rpc.estimateGas(
-		{
-			...normalizeTxOpts(txOpts),
-			gas: undefined,
+async function resolveAddressArg(inst, param, value, block) {
+	const arrayMatch = /^(.+)\[[0-9]*\]$/.exec(param.type);
+	if (arrayMatch) {
+		if (!_.isArray(value)) {
+			return value;
+		}
+		const itemParam = { ...param, type: arrayMatch[1] };
+		return Promise.all(value.map(v => resolveAddressArg(inst, itemParam, v, block)));
+	}
+	if (param.type === 'tuple') {
+		return resolveAddressArgs(inst, param.components, value, block);
+	}
+	if (param.type === 'address' && _.isString(value)) {
+		return inst.resolve(value, block);
+	}
+	return value;
+}
+
+async function createLogQuery(inst, filter) {
+	const event = getFilterEvent(filter);
+	const eventAbi = event ? [event] : filter.abi;
+	return {
+		filter: {
+			..._.omit(filter, ['event', 'args', 'abi']),
+			fromBlock: !_.isNil(filter.fromBlock) ?
+				await inst.resolveBlockDirective(filter.fromBlock) : undefined,
+			toBlock: !_.isNil(filter.toBlock) ?
+				await inst.resolveBlockDirective(filter.toBlock) : undefined,
+			address: !_.isNil(filter.address) ?
+				await inst.resolve(filter.address) : undefined,
+			topics: event
+				? await encodeEventTopics(inst, event, filter.args)
+				: filter.topics,
 		},
-		block,
-	);
+		decode: logs => eventAbi ? abi.decodeLogs(eventAbi, logs) : logs,
+	};
+}
+
+// Does the work of `iterateLogs()` for a query. If `rangeError` is given,
+// fetching the whole range already failed with it, so start smaller.
+async function* iterateQueryLogs(inst, query, opts={}, rangeError=undefined) {
+	const maxChunkSize = opts.chunkSize || DEFAULT_LOG_CHUNK_SIZE;
+	if (query.filter.blockhash) {
+		yield* query.decode(await inst.rpc.getLogs(query.filter));
+		return;
+	}
+	const [fromBlock, toBlock] = await Promise.all([
+		resolveLogBlockNumber(inst, query.filter.fromBlock),
+		resolveLogBlockNumber(inst, query.filter.toBlock),
+	]);
+	let chunkSize = maxChunkSize;
+	if (rangeError) {
+		if (toBlock <= fromBlock) {
+			throw rangeError;
+		}
+		chunkSize = getSmallerLogChunkSize(rangeError, fromBlock, toBlock);
+	}
+	for (let start = fromBlock; start <= toBlock;) {
+		const end = Math.min(toBlock, start + chunkSize - 1);
+		let logs;
+		try {
+			logs = await inst.rpc.getLogs({
+				...query.filter,
+				fromBlock: start,
+				toBlock: end,
+			});
+		} catch (err) {
+			if (!isLogRangeError(err) || end === start) {
+				throw err;
+			}
+			chunkSize = getSmallerLogChunkSize(err, start, end);
+			continue;
+		}
+		yield* query.decode(logs);
+		if (opts.onProgress) {
+			await opts.onProgress({ fromBlock: start, toBlock: end });
+		}
+		start = end + 1;
+		chunkSize = Math.min(maxChunkSize, chunkSize * 2);
+	}
+}
+
+// How many blocks to ask for after `[start, end]` was rejected for having
+// too many logs. Uses the range the provider suggests, if any.
+function getSmallerLogChunkSize(err, start, end) {
+	const suggested = getSuggestedLogRange(err);
+	return suggested && suggested[0] === start && suggested[1] < end
+		? suggested[1] - start + 1
+		: Math.ceil((end - start + 1) / 2);
+}
+
+// Turn a (resolved) log filter block into a number. Like the node would,
+// a missing block means the latest one.
+async function resolveLogBlockNumber(inst, block) {
+	if (block === 'earliest') {
+		return 0;
+	}
+	if (_.isNil(block) || block === 'latest' || block === 'pending') {
+		return inst.getBlockNumber();
+	}
+	return util.toNumber(block);
+}
+
+// Some providers suggest a range that will work, e.g.,
+// "query returned more than 10000 results. Try with this block range [0x1, 0x2]."
+function getSuggestedLogRange(err) {
+	const m = /\[\s*(0x[0-9a-f]+)\s*,\s*(0x[0-9a-f]+)\s*\]/i.exec(err.message || '');
+	return m ? [parseInt(m[1], 16), parseInt(m[2], 16)] : null;
+}
+
+function getFilterEvent(filter) {
+	if (!filter.event) {
+		return null;
+	}
+	if (_.isString(filter.event) && !filter.event.includes('(')) {
+		// Look it up by name.
+		const event = _.castArray(filter.abi || [])
+			.map(f => abi.parseFragment(f, 'event'))
+			.find(f => f.type === 'event' && f.name === filter.event);
+		if (!event) {
+			throw new Error(`No event named "${filter.event}" in ABI.`);
+		}
+		return event;
+	}
+	return abi.parseFragment(filter.event, 'event');
+}
+
+async function encodeEventTopics(inst, event, args=[]) {
+	const indexed = event.inputs.filter(p => p.indexed);
+	const values = _.isArray(args) ? args : indexed.map(p => args[p.name]);
+	return abi.encodeEventTopics(event, await Promise.all(values.map((v, i) => {
+		const param = indexed[i];
+		if (!param || _.isNil(v)) {
+			return v;
+		}
+		if (_.isArray(v) && param.type !== 'tuple' && !param.type.endsWith(']')) {
+			// Any of these values.
+			return Promise.all(v.map(v => resolveAddressArg(inst, param, v)));
+		}
+		return resolveAddressArg(inst, param, v);
+	})));
+}
+
+async function getBlockGasLimit(inst) {
+	const lastBlock = await inst.getBlock();
+	return (lastBlock && lastBlock.gasLimit) || 8e6;
+}
+
+async function estimateGasRaw(inst, txOpts, opts={}) {
+	const bonus = (_.isNumber(opts.gasBonus) ? opts.gasBonus : inst.gasBonus) || 0;
+	const block = _.isNil(opts.block)
+		? undefined : await inst.resolveBlockDirective(opts.block);
+	const tx = {
+		...normalizeTxOpts(txOpts),
+		gas: undefined,
+	};
+	let gas;
+	try {
+		gas = await inst.rpc.estimateGas(tx, block);
+	} catch (err) {
+		if (err instanceof CallRevertedError && !err.errorReturnData) {
+			// Some nodes (e.g., ganache) leave out the revert data when
+			// estimating gas, but not for calls.
+			try {
+				await inst.rpc.call(tx, block);
+			} catch (callErr) {
+				if (callErr instanceof CallRevertedError && callErr.errorReturnData) {
+					throw decodeCallError(inst, callErr, opts.errorAbi);
+				}
+			}
+		}
+		throw decodeCallError(inst, err, opts.errorAbi);
+	}
 	return Math.ceil(gas * (1+bonus));
 }
 
@@ -247,8 +693,12 @@ async function createTransactionOpts(inst, to, opts) {
 		from = await inst.resolve(opts.from, opts.block);
 	} else if (_.isNumber(opts.from)) {
 		from = opts.from;
-	} else if (opts.key)
+	} else if (opts.signer)
+		from = await opts.signer.getAddress();
+	else if (opts.key)
 		from = util.privateKeyToAddress(opts.key);
+	else if (inst.signer)
+		from = await inst.signer.getAddress();
 	else
 		from = await inst.getDefaultAccount();
 	to = to ? await inst.resolve(to, opts.block) : undefined;
@@ -308,11 +758,73 @@ async function callTx(inst, to, opts) {
 	}
 	if (!txOpts.to && (!txOpts.data || txOpts.data == '0x'))
 		throw Error('Transaction has no destination.');
-	return inst.rpc.call(normalizeTxOpts(txOpts), block, overrides);
+	try {
+		return await inst.rpc.call(normalizeTxOpts(txOpts), block, overrides);
+	} catch (err) {
+		throw decodeCallError(inst, err, opts.errorAbi);
+	}
+}
+
+// Decode custom errors in reverts using the call's and the instance's error ABI.
+function decodeCallError(inst, err, errorAbi=[]) {
+	if (err instanceof CallRevertedError) {
+		err.decodeCustomError([...errorAbi, ...inst.errorAbi]);
+	}
+	return err;
+}
+
+// Make calls in one `aggregate3()` call. If there's no Multicall3 contract,
+// we bring our own with a state override.
+async function aggregateCalls(inst, calls, opts) {
+	const [ address, block ] = await Promise.all([
+		getMulticallAddress(inst, opts.multicallAddress),
+		resolveCallBlock(inst, opts.block),
+	]);
+	const [ code, resolvedCalls ] = await Promise.all([
+		inst.getCode(address, block),
+		Promise.all(calls.map(async c => ({
+			to: await inst.resolve(c.to, block),
+			data: c.data,
+		}))),
+	]);
+	const isDeployed = !!code && code !== '0x';
+	const result = await callTx(inst, address, {
+		..._.omit(opts, ['allowFailure', 'multicallAddress']),
+		block,
+		data: multicall.encodeAggregate3(resolvedCalls),
+		overrides: isDeployed
+			? opts.overrides
+			: { ...opts.overrides, [address]: { code: multicall.MULTICALL3_CODE } },
+	});
+	if (!result || result === '0x') {
+		// The node ignored the state override.
+		throw new Error(`No multicall contract at ${address} and the node does not support state overrides.`);
+	}
+	return multicall.decodeAggregate3(result);
+}
+
+// Pin relative blocks (`'latest'`, negative offsets) to a number so every
+// request for a multicall sees the same state. There's no pinning
+// `'pending'`, though.
+async function resolveCallBlock(inst, block='latest') {
+	if (block === 'latest') {
+		return inst.getBlockNumber();
+	}
+	return inst.resolveBlockDirective(block);
+}
+
+async function getMulticallAddress(inst, address=inst.multicallAddress) {
+	if (_.isObject(address)) {
+		address = address[await inst.getChainId()];
+	}
+	return address || multicall.MULTICALL3_ADDRESS;
 }
 
 async function sendTx(inst, to, opts) {
-	const common = await inst._getChainCommon(opts.block);
+	const [common, txOpts] = await Promise.all([
+		inst._getChainCommon(opts.block),
+		createTransactionOpts(inst, to, opts),
+	]);
 	let effectiveHardfork = opts.fork || common.hardfork();
 	if (effectiveHardfork === 'london') {
 		if (opts.gasPrice) {
@@ -320,43 +832,254 @@ async function sendTx(inst, to, opts) {
 			effectiveHardfork = 'berlin';
 		}
 	}
-	const txOpts = await createTransactionOpts(inst, to, opts);
 	if (!txOpts.from)
 		throw Error('Cannot determine caller.');
 	if (!txOpts.to && (!txOpts.data || txOpts.data == '0x'))
 		throw Error('Transaction has no destination.');
-	if (_.isNumber(opts.nonce))
-		txOpts.nonce = opts.nonce;
-	else
-		txOpts.nonce = await inst.getTransactionCount(txOpts.from);
-	if (!txOpts.gasLimit)
-		txOpts.gasLimit = await estimateGasRaw(inst, txOpts, undefined, opts.gasBonus);
 	if (!txOpts.chainId)
 		txOpts.chainId = await inst._chainId;
-	if (effectiveHardfork === 'london') {
-		if (_.isNil(txOpts.maxPriorityFeePerGas)) {
-			txOpts.maxPriorityFeePerGas = await inst._getMaxPriorityFeeWithBonus(opts.gasPriceBonus);
+	// Gas and fees don't depend on each other so they can share a
+	// round trip when batching.
+	await Promise.all([
+		(async () => {
+			if (!txOpts.gasLimit)
+				txOpts.gasLimit = await estimateGasRaw(inst, txOpts, {
+					gasBonus: opts.gasBonus,
+					errorAbi: opts.errorAbi,
+				});
+		})(),
+		populateFees(inst, txOpts, effectiveHardfork, opts.gasPriceBonus),
+	]);
+	const signer = getSigner(inst, opts, txOpts.from);
+	// Signers that broadcast for us (probably the provider) pick their own
+	// nonce unless we ask for one.
+	const isManagedNonce = !_.isNumber(opts.nonce) && !signer.sendTransaction;
+	// Reserve the nonce as late as possible so fewer failures can leave
+	// a gap behind it.
+	txOpts.nonce = isManagedNonce
+		? await inst.nonces.next(txOpts.from)
+		: opts.nonce;
+	// Sign for the chain we resolved, at the fork we settled on.
+	const signingCommon = common.copy();
+	signingCommon.setHardfork(effectiveHardfork);
+	const sent = {
+		txOpts,
+		hardfork: effectiveHardfork,
+		common: signingCommon,
+		signer,
+	};
+	if (!isManagedNonce) {
+		sent.txHash = await signAndSendTx(inst, sent);
+		return sent;
+	}
+	let raw;
+	try {
+		raw = await signTx(sent);
+	} catch (err) {
+		// Never made it out, so the nonce can be reused.
+		inst.nonces.release(txOpts.from, txOpts.nonce);
+		throw err;
+	}
+	try {
+		sent.txHash = await inst.rpc.sendRawTransaction(raw);
+	} catch (err) {
+		if (isRejectedTxError(err)) {
+			inst.nonces.release(txOpts.from, txOpts.nonce);
+		} else {
+			// It may have gone out anyway, so don't hand the nonce out again.
+			inst.nonces.resync(txOpts.from).catch(_.noop);
 		}
+		throw err;
+	}
+	return sent;
+}
+
+// Whether the node turned a transaction down outright, as opposed to us not
+// hearing back or it already having the transaction.
+function isRejectedTxError(err) {
+	return err instanceof RpcClient.RpcError
+		&& !_.isNil(err.code)
+		&& !KNOWN_TX_ERROR_REGEX.test(err.message);
+}
+
+async function populateFees(inst, txOpts, hardfork, bonus) {
+	if (hardfork === 'london') {
+		const [maxPriorityFeePerGas, baseFee] = await Promise.all([
+			_.isNil(txOpts.maxPriorityFeePerGas)
+				? inst._getMaxPriorityFeeWithBonus(bonus)
+				: txOpts.maxPriorityFeePerGas,
+			_.isNil(txOpts.maxFeePerGas)
+				? inst._getBaseFeeWithBonus(bonus)
+				: undefined,
+		]);
+		txOpts.maxPriorityFeePerGas = maxPriorityFeePerGas;
 		if (_.isNil(txOpts.maxFeePerGas)) {
 			txOpts.maxFeePerGas = BigNumber.sum(
-				await inst._getBaseFeeWithBonus(opts.gasPriceBonus),
+				baseFee,
 				txOpts.maxPriorityFeePerGas,
 			).toString(10);
 		}
 	} else {
 		if (_.isNil(txOpts.gasPrice)) {
-			txOpts.gasPrice = await inst._getGasPriceWithBonus(opts.gasPriceBonus);
+			txOpts.gasPrice = await inst._getGasPriceWithBonus(bonus);
+		}
+	}
+}
+
+async function signAndSendTx(inst, sent) {
+	if (sent.signer.sendTransaction) {
+		// Let the signer (probably the provider) broadcast it.
+		return sent.signer.sendTransaction(normalizeTxOpts(sent.txOpts));
+	}
+	return inst.rpc.sendRawTransaction(await signTx(sent));
+}
+
+async function signTx(sent) {
+	const { txOpts, hardfork, common, signer } = sent;
+	return signer.signTransaction({
+		...normalizeTxOpts(txOpts),
+		chainId: util.toHex(txOpts.chainId),
+		type: util.toHex(TX_TYPE_FOR_HARDFORK[hardfork]),
+	}, { common });
+}
+
+// Transactions the provider broadcast get their nonce from the node, so look
+// it up the first time we need it.
+async function fillSentNonce(inst, sent) {
+	if (_.isNil(sent.txOpts.nonce)) {
+		const tx = await inst.getTransaction(sent.txHash);
+		if (tx) {
+			sent.txOpts.nonce = tx.nonce;
 		}
 	}
+	return sent;
+}
+
+function getSigner(inst, opts, from) {
+	if (opts.signer) {
+		return opts.signer;
+	}
 	if (opts.key) {
-		// Sign the TX ourselves.
-		let tx = TX_TYPE_FOR_HARDFORK[effectiveHardfork].fromTxData(normalizeTxOpts(txOpts), { common });
-		tx = tx.sign(ethjs.toBuffer(opts.key));
-		const serialized = util.asBytes(tx.serialize());
-		return inst.rpc.sendRawTransaction(serialized);
+		return new KeySigner(opts.key);
+	}
+	if (_.isString(opts.from) || !inst.signer) {
+		return new ProviderSigner(inst.rpc, from);
+	}
+	return inst.signer;
+}
+
+// Re-sign and broadcast a sent transaction under the same nonce with fees
+// high enough for nodes to accept it as a replacement.
+async function replaceTx(inst, sent, opts={}) {
+	await fillSentNonce(inst, sent);
+	if (_.isNil(sent.txOpts.nonce)) {
+		throw new Error(`Transaction ${sent.txHash} is unknown to the node.`);
+	}
+	const bonus = Math.max(
+		_.isNumber(opts.gasPriceBonus) ? opts.gasPriceBonus : 0,
+		MIN_REPLACEMENT_FEE_BONUS,
+	);
+	const txOpts = { ...sent.txOpts };
+	if (opts.cancel) {
+		// A 0-value self-send.
+		Object.assign(txOpts, {
+			to: txOpts.from,
+			value: 0,
+			data: undefined,
+			gasLimit: 21000,
+		});
+	}
+	if (sent.hardfork === 'london') {
+		txOpts.maxPriorityFeePerGas = BigNumber.max(
+			bumpFee(sent.txOpts.maxPriorityFeePerGas, bonus),
+			await inst._getMaxPriorityFeeWithBonus(),
+		).toString(10);
+		txOpts.maxFeePerGas = BigNumber.max(
+			bumpFee(sent.txOpts.maxFeePerGas, bonus),
+			BigNumber.sum(
+				await inst._getBaseFeeWithBonus(),
+				txOpts.maxPriorityFeePerGas,
+			),
+		).toString(10);
+	} else {
+		txOpts.gasPrice = BigNumber.max(
+			bumpFee(sent.txOpts.gasPrice, bonus),
+			await inst._getGasPriceWithBonus(),
+		).toString(10);
+	}
+	const replacement = { ...sent, txOpts };
+	replacement.txHash = await signAndSendTx(inst, replacement);
+	return replacement;
+}
+
+function bumpFee(fee, bonus) {
+	return new BigNumber(fee)
+		.times(1 + bonus)
+		.integerValue(BigNumber.ROUND_CEIL)
+		.toString(10);
+}
+
+function createSentTransactionPromise(inst, sentPromise, opts={}) {
+	// Replacements bump from whichever transaction was sent last.
+	let latest = sentPromise;
+	return createTransactionPromise(
+		inst,
+		sentPromise.then(sent => sent.txHash),
+		{
+			getSender: async () => {
+				const { txOpts } = await fillSentNonce(inst, await sentPromise);
+				return { from: txOpts.from, nonce: txOpts.nonce };
+			},
+			replace: replaceOpts => {
+				const prev = latest;
+				const replaced = prev.then(sent => replaceTx(inst, sent, replaceOpts));
+				latest = replaced.catch(() => prev);
+				return replaced.then(sent => sent.txHash);
+			},
+			rejectOnFailure: _.isBoolean(opts.rejectOnFailure)
+				? opts.rejectOnFailure : inst.rejectOnFailure,
+			getRevertError: receipt => getRevertError(inst, receipt, opts.errorAbi),
+		},
+	);
+}
+
+// Replay a failed transaction as a call on top of the block before the one it
+// was mined in to find out why it reverted. Resolves to a `CallRevertedError`
+// or null.
+async function getRevertError(inst, receipt, errorAbi) {
+	try {
+		const tx = await inst.getTransaction(receipt.transactionHash);
+		await inst.rpc.call(
+			{
+				from: tx.from,
+				to: tx.to,
+				data: tx.input,
+				value: tx.value,
+				gas: tx.gas,
+			},
+			// The state going into the block. Earlier transactions in the
+			// same block aren't accounted for, so this is a best guess.
+			Math.max(receipt.blockNumber - 1, 0),
+		);
+	} catch (err) {
+		if (err instanceof CallRevertedError) {
+			return decodeCallError(inst, err, errorAbi);
+		}
 	}
-	// Let the provider sign it.
-	return inst.rpc.sendTransaction(normalizeTxOpts(txOpts));
+	// The call succeeded (something earlier in the block made it fail)
+	// or we couldn't get the transaction.
+	return null;
 }
 
 module.exports.util = util;
+module.exports.abi = abi;
+module.exports.wallet = wallet;
+module.exports.FallbackProvider = FallbackProvider;
+module.exports.Signer = Signer;
+module.exports.KeySigner = KeySigner;
+module.exports.ProviderSigner = ProviderSigner;
+module.exports.CallRevertedError = CallRevertedError;
+module.exports.TransactionFailedError = createTransactionPromise.TransactionFailedError;
+module.exports.TransactionTimeoutError = createTransactionPromise.TransactionTimeoutError;
+module.exports.TransactionDroppedError = createTransactionPromise.TransactionDroppedError;
+module.exports.TransactionReplacedError = createTransactionPromise.TransactionReplacedError;
@@ -0,0 +1,170 @@
+'use strict'
+const _ = require('lodash');
+
+const { isMethodNotFoundError } = require('./rpc-client');
+const Watcher = require('./watcher');
+
+// Errors nodes return when polling a filter they've dropped, which they do
+// when it isn't polled often enough.
+const FILTER_NOT_FOUND_REGEX = /filter (not found|does not exist)|unknown filter/i;
+// How many recent blocks to remember for detecting reorgs when polling
+// block ranges.
+const MAX_TRACKED_BLOCKS = 64;
+
+// Follows new logs matching a filter. Uses an `eth_subscribe` subscription
+// if the provider supports them, an `eth_newFilter` filter otherwise, and
+// falls back to polling `eth_getLogs` over new blocks if the node has
+// neither or the filter expires.
+module.exports = class LogWatcher extends Watcher {
+	constructor(inst, query, opts={}) {
+		super(inst, opts.onLog, opts);
+		this._query = null;
+		this._subscription = null;
+		this._filterId = null;
+		this._nextBlock = null;
+		this._recentBlocks = [];
+		this._recentLogs = [];
+		this._init(this._start(query));
+	}
+
+	async _start(query) {
+		const rpc = this._inst.rpc;
+		this._query = query = await query;
+		if (rpc.supportsSubscriptions()) {
+			try {
+				this._subscription = await rpc.subscribeLogs(
+					query.filter,
+					log => {
+						try {
+							this._emit(log);
+						} catch (err) {
+							this._fail(err);
+						}
+					},
+				);
+				this.mode = 'subscription';
+				return;
+			} catch (err) {
+				if (!isMethodNotFoundError(err)) {
+					throw err;
+				}
+			}
+		}
+		this._nextBlock = (await rpc.getBlockNumber()) + 1;
+		try {
+			this._filterId = await rpc.newFilter({
+				...query.filter,
+				fromBlock: 'latest',
+			});
+			this.mode = 'filter';
+		} catch (err) {
+			if (!isMethodNotFoundError(err)) {
+				throw err;
+			}
+			this.mode = 'poll';
+		}
+		this._schedule();
+	}
+
+	async _cleanup() {
+		if (this._subscription) {
+			await this._subscription.unsubscribe();
+		} else if (this._filterId) {
+			await this._inst.rpc.uninstallFilter(this._filterId);
+		}
+	}
+
+	async _poll() {
+		if (this.mode === 'filter') {
+			return this._pollFilter();
+		}
+		return this._pollBlocks();
+	}
+
+	async _pollFilter() {
+		const rpc = this._inst.rpc;
+		// Changes cover at least up to here.
+		const head = await rpc.getBlockNumber();
+		let logs;
+		try {
+			logs = await rpc.getFilterChanges(this._filterId);
+		} catch (err) {
+			if (!FILTER_NOT_FOUND_REGEX.test(err.message)) {
+				throw err;
+			}
+			// Pick up where the filter left off.
+			this._filterId = null;
+			this.mode = 'poll';
+			return this._pollBlocks();
+		}
+		for (const log of logs) {
+			this._emit(log);
+		}
+		this._nextBlock = Math.max(head, _.max(logs.map(log => log.blockNumber)) || 0) + 1;
+	}
+
+	async _pollBlocks() {
+		const rpc = this._inst.rpc;
+		await this._checkReorg();
+		const head = await rpc.getBlock('latest');
+		if (head.number < this._nextBlock) {
+			return;
+		}
+		const logs = await rpc.getLogs({
+			...this._query.filter,
+			fromBlock: this._nextBlock,
+			toBlock: head.number,
+		});
+		for (const log of logs) {
+			this._trackBlock(log.blockNumber, log.blockHash);
+			this._recentLogs.push(log);
+			this._emit(log);
+		}
+		this._trackBlock(head.number, head.hash);
+		this._nextBlock = head.number + 1;
+	}
+
+	// Walk back through the blocks we've seen until we find one that's still
+	// on the chain, then undo the logs from the blocks after it.
+	async _checkReorg() {
+		let forkBlock = null;
+		for (let i = this._recentBlocks.length - 1; i >= 0; --i) {
+			const { number, hash } = this._recentBlocks[i];
+			const block = await this._inst.rpc.getBlock(number);
+			if (block && block.hash === hash) {
+				break;
+			}
+			forkBlock = number;
+		}
+		if (forkBlock === null) {
+			return;
+		}
+		this._recentBlocks = this._recentBlocks.filter(b => b.number < forkBlock);
+		const [removed, kept] = _.partition(
+			this._recentLogs,
+			log => log.blockNumber >= forkBlock,
+		);
+		this._recentLogs = kept;
+		for (const log of removed.reverse()) {
+			this._emit({ ...log, removed: true });
+		}
+		this._nextBlock = Math.min(this._nextBlock, forkBlock);
+	}
+
+	_trackBlock(number, hash) {
+		const last = _.last(this._recentBlocks);
+		if (last && last.number >= number) {
+			return;
+		}
+		this._recentBlocks.push({ number, hash });
+		if (this._recentBlocks.length > MAX_TRACKED_BLOCKS) {
+			this._recentBlocks.shift();
+			const oldest = this._recentBlocks[0].number;
+			this._recentLogs = this._recentLogs.filter(log => log.blockNumber >= oldest);
+		}
+	}
+
+	_emit(log) {
+		super._emit(this._query.decode([ log ])[0]);
+	}
+}
@@ -0,0 +1,110 @@
+'use strict'
+const _ = require('lodash');
+
+const { toChecksumAddress } = require('./util');
+
+module.exports = class NonceManager {
+	constructor(rpc) {
+		this.rpc = rpc;
+		this._accounts = {};
+	}
+
+	// Reserve the next nonce for an account.
+	// Concurrent calls for the same account are serialized so each caller
+	// gets a distinct nonce.
+	async next(addr) {
+		const account = this._getAccount(addr);
+		return this._withLock(account, () => this._allocate(account));
+	}
+
+	// Return a nonce that was reserved but never broadcast so it can be
+	// handed out again.
+	release(addr, nonce) {
+		const account = this._getAccount(addr);
+		if (!_.isNumber(account.next) || nonce >= account.next) {
+			return;
+		}
+		if (nonce === account.next - 1) {
+			account.next = nonce;
+			// Collapse any released nonces that are now at the tip.
+			while (_.last(account.released) === account.next - 1) {
+				account.next = account.released.pop();
+			}
+		} else if (!account.released.includes(nonce)) {
+			account.released = _.sortBy([...account.released, nonce]);
+		}
+	}
+
+	// Forget local state for an account (or all accounts) so the next nonce
+	// is read fresh from the node.
+	reset(addr=undefined) {
+		if (_.isNil(addr)) {
+			this._accounts = {};
+		} else {
+			delete this._accounts[toChecksumAddress(addr)];
+		}
+	}
+
+	// Resync an account with the node's pending transaction count and return
+	// the next nonce that will be handed out.
+	async resync(addr) {
+		const account = this._getAccount(addr);
+		return this._withLock(account, async () => {
+			await this._sync(account);
+			return peekAccount(account);
+		});
+	}
+
+	// Inspect the local state for an account without touching the node.
+	peek(addr) {
+		const account = this._accounts[toChecksumAddress(addr)];
+		if (!account || !_.isNumber(account.next)) {
+			return;
+		}
+		return {
+			next: peekAccount(account),
+			released: [...account.released],
+		};
+	}
+
+	_getAccount(addr) {
+		addr = toChecksumAddress(addr);
+		return this._accounts[addr] || (this._accounts[addr] = {
+			address: addr,
+			next: undefined,
+			released: [],
+			lock: Promise.resolve(),
+		});
+	}
+
+	_withLock(account, fn) {
+		const result = account.lock.then(fn);
+		// A failure shouldn't jam the queue for later callers.
+		account.lock = result.catch(_.noop);
+		return result;
+	}
+
+	async _allocate(account) {
+		await this._sync(account);
+		if (account.released.length) {
+			return account.released.shift();
+		}
+		return account.next++;
+	}
+
+	async _sync(account) {
+		const pending = await this.rpc.getTransactionCount(
+			account.address,
+			'pending',
+		);
+		// Anything below the node's pending count has already been used.
+		account.released = account.released.filter(n => n >= pending);
+		if (!_.isNumber(account.next) || pending > account.next) {
+			account.next = pending;
+		}
+	}
+};
+
+function peekAccount(account) {
+	return account.released.length ? account.released[0] : account.next;
+}
@@ -2,6 +2,10 @@
 const _ = require('lodash');
 const ethjs = require('ethereumjs-util');
 
+const abi = require('./abi');
+const util = require('./util');
+const { CallRevertedError } = require('./rpc-client');
+
 const ENS_ADDRESSES = {
 	'1': '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
 	'3': '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
@@ -12,6 +16,16 @@ const ENS_ADDRESSES = {
 const RESOLVER_FN_SIG = '0x0178b8bf';
 const ADDR_FN_SIG = '0x3b3b57de';
 const TTL_FN_SIG = '0x16a25cbd';
+const NAME_FN_SIG = '0x691f3431';
+const SUPPORTS_INTERFACE_FN_SIG = '0x01ffc9a7';
+// `resolve(bytes,bytes)`, which is also the ENSIP-10 interface ID.
+const RESOLVE_FN = abi.parseFragment('function resolve(bytes name, bytes data) view returns (bytes)');
+const WILDCARD_INTERFACE_ID = '0x9061b923';
+// EIP-3668 `OffchainLookup(address,string[],bytes,bytes4,bytes)` error.
+const OFFCHAIN_LOOKUP_SELECTOR = '0x556f1830';
+const OFFCHAIN_LOOKUP_PARAMS = [ 'address', 'string[]', 'bytes', 'bytes4', 'bytes' ];
+// How many `OffchainLookup`s to follow for one call.
+const MAX_CCIP_REDIRECTS = 4;
 const ONE_HOUR = 60 * 60 * 1000;
 const NULL_ADDRESS = '0x0000000000000000000000000000000000000000';
 
@@ -19,11 +33,19 @@ module.exports = class Resolver {
 	constructor(rpc, opts={}) {
 		const _opts = _.defaults({}, opts, {
 			minTTL: ONE_HOUR,
-			maxTTL: Number.MAX_SAFE_INTEGER
+			maxTTL: Number.MAX_SAFE_INTEGER,
+			ccipRead: true,
 		});
 		this.rpc = rpc;
 		this.minTTL = _opts.minTTL;
 		this.maxTTL = _opts.maxTTL;
+		this.ccipRead = _opts.ccipRead;
+		// ENS registry address, or an object of them by chain ID.
+		this.registry = _opts.registry;
+		// Hook to resolve names before (or instead of) ENS.
+		this.resolveName = _opts.resolveName;
+		// `fetch()`-like function for CCIP-Read gateway requests.
+		this.fetch = _opts.fetch;
 		this._cache = {};
 	}
 
@@ -32,63 +54,146 @@ module.exports = class Resolver {
 			return ethjs.toChecksumAddress(name);
 		}
 
-		const topLevelHash = hashName(name, true);
-		const fullHash = hashName(name, false);
 		const chainId = await this.rpc.getChainId();
+		if (this.resolveName) {
+			const address = await this.resolveName(name, { chainId, block });
+			if (!_.isNil(address)) {
+				if (!ethjs.isValidAddress(address)) {
+					throw new Error(`Name resolver returned an invalid address for "${name}": ${address}`);
+				}
+				return ethjs.toChecksumAddress(address);
+			}
+		}
+
+		const hash = hashName(name);
 
 		// Try the cache first.
-		const cached = this._getCached(chainId, fullHash);
+		const cached = this._getCached(chainId, 'addr', hash);
 		if (cached) {
-			return cached.address;
+			return cached;
 		}
 
-		const resolver = await this._getResolver(chainId, topLevelHash, block);
-		if (!resolver) {
+		const { resolverHash, result } = await this._resolveRecord(
+			chainId,
+			name,
+			encodeCallData(ADDR_FN_SIG, hash),
+			block
+		);
+		if (!resolverHash) {
 			throw new Error(`No resolver for ENS address: "${name}"`);
 		}
 
-		const address = await this._resolveHash(chainId, resolver, fullHash, block);
-		if (!address) {
+		const address = extractBytes(result, 20);
+		if (address === NULL_ADDRESS || !ethjs.isValidAddress(address)) {
 			throw new Error(`Failed to resolve ENS address: "${name}"`);
 		}
 
-		const ttl = await this._getTTL(chainId, topLevelHash, block);
+		const ttl = await this._getTTL(chainId, resolverHash, block);
 		if (ttl > 0) {
 			// Cache it.
-			this._putCached(chainId, fullHash, address, ttl);
+			this._putCached(chainId, 'addr', hash, ethjs.toChecksumAddress(address), ttl);
 		}
-		return address;
+		return ethjs.toChecksumAddress(address);
 	}
 
-	_getCached(chainId, hash) {
-		const cached = _.get(this._cache, [ _.toString(chainId), hash ]);
+	// Look up the primary ENS name of an address through its reverse record
+	// (`<address>.addr.reverse`). Only returns the name if it resolves back to
+	// the same address, otherwise `null`.
+	async lookup(address, block='latest') {
+		address = ethjs.toChecksumAddress(address);
+		const reverseName = `${address.substr(2).toLowerCase()}.addr.reverse`;
+		const reverseHash = hashName(reverseName);
+		const chainId = await this.rpc.getChainId();
+
+		const cached = this._getCached(chainId, 'name', reverseHash);
+		if (cached) {
+			return cached;
+		}
+
+		let name, resolverHash;
+		try {
+			let result;
+			({ resolverHash, result } = await this._resolveRecord(
+				chainId,
+				reverseName,
+				encodeCallData(NAME_FN_SIG, reverseHash),
+				block
+			));
+			name = resolverHash ? abi.decodeParameters([ 'string' ], result)[0] : null;
+		} catch (err) {
+			// The resolver doesn't implement `name()`.
+			if (!(err instanceof CallRevertedError || err instanceof abi.AbiDecodeError)) {
+				throw err;
+			}
+		}
+		// Names that aren't normalized could be spoofs.
+		if (!name || !isNormalized(name)) {
+			return null;
+		}
+
+		// Anyone can claim any name in their reverse record, so make sure
+		// the name agrees.
+		let resolved;
+		try {
+			resolved = await this.resolve(name, block);
+		} catch (err) {
+			return null;
+		}
+		if (resolved !== address) {
+			return null;
+		}
+
+		const ttl = await this._getTTL(chainId, resolverHash, block);
+		if (ttl > 0) {
+			this._putCached(chainId, 'name', reverseHash, name, ttl);
+		}
+		return name;
+	}
+
+	// Cached records are keyed by chain, record type (`addr` or `name`), and
+	// node, since a node can have both.
+	_getCached(chainId, record, hash) {
+		const cached = _.get(this._cache, [ _.toString(chainId), record, hash ]);
 		if (cached && cached.expires > _.now()) {
-			return cached.address;
+			return cached.value;
 		}
 	}
 
-	_putCached(chainId, hash, address, ttl) {
+	_putCached(chainId, record, hash, value, ttl) {
 		_.set(
 			this._cache,
-			[ _.toString(chainId), hash ],
+			[ _.toString(chainId), record, hash ],
 			{
-				address: address,
+				value: value,
 				expires: _.now() + _.clamp(ttl, this.minTTL, this.maxTTL)
 			}
 		);
 	}
 
 	async _call(chainId, contract, data, block='latest') {
-		return this.rpc.call({
-			data: data,
-			value: 0,
-			to: contract,
-			chainId: chainId
-		});
+		return this.rpc.call(
+			{
+				data: data,
+				value: 0,
+				to: contract,
+				chainId: chainId
+			},
+			block
+		);
+	}
+
+	_getRegistry(chainId) {
+		const registry = _.isString(this.registry)
+			? this.registry
+			: _.get(this.registry, [ _.toString(chainId) ]) || ENS_ADDRESSES[chainId];
+		if (registry) {
+			return registry;
+		}
+		throw new Error(`ENS is not supported on chain ID ${chainId}`);
 	}
 
 	async _getResolver(chainId, hash, block='latest') {
-		const ens = getENSContract(chainId);
+		const ens = this._getRegistry(chainId);
 		const resolver = extractBytes(
 			await this._call(
 				chainId,
@@ -103,23 +208,148 @@ module.exports = class Resolver {
 		}
 	}
 
-	async _resolveHash(chainId, resolver, hash, block='latest') {
-		let address = extractBytes(
-			await this._call(
+	// Find the resolver for a name, or failing that, the closest parent
+	// name with one (ENSIP-10).
+	async _findResolver(chainId, name, block='latest') {
+		const labels = splitName(name);
+		for (let i = 0; i < labels.length; ++i) {
+			const hash = hashName(labels.slice(i).join('.'));
+			const resolver = await this._getResolver(chainId, hash, block);
+			if (resolver) {
+				return { resolver, resolverHash: hash };
+			}
+		}
+		return {};
+	}
+
+	// Call a record function (e.g., `addr(bytes32)`) on the resolver for a
+	// name. Goes through `resolve(bytes,bytes)` if the resolver supports
+	// ENSIP-10 wildcards. Resolves to `{resolver, resolverHash, result}`,
+	// without a `resolver` if there is none that can resolve the name.
+	async _resolveRecord(chainId, name, data, block='latest') {
+		const { resolver, resolverHash } = await this._findResolver(chainId, name, block);
+		if (!resolver) {
+			return {};
+		}
+		if (await this._supportsWildcard(chainId, resolver, block)) {
+			const result = await this._ccipCall(
 				chainId,
 				resolver,
-				encodeCallData(ADDR_FN_SIG, hash),
+				abi.encodeFunctionCall(RESOLVE_FN, [ dnsEncodeName(name), data ]),
 				block
-			),
-			20
-		);
-		if (address !== NULL_ADDRESS && ethjs.isValidAddress(address)) {
-			return ethjs.toChecksumAddress(address);
+			);
+			return {
+				resolver,
+				resolverHash,
+				result: abi.decodeFunctionResult(RESOLVE_FN, result),
+			};
+		}
+		if (resolverHash !== hashName(name)) {
+			// A parent's resolver can only resolve its subnames through
+			// `resolve(bytes,bytes)`.
+			return {};
+		}
+		return {
+			resolver,
+			resolverHash,
+			result: await this._ccipCall(chainId, resolver, data, block),
+		};
+	}
+
+	async _supportsWildcard(chainId, resolver, block='latest') {
+		try {
+			const result = await this._call(
+				chainId,
+				resolver,
+				encodeCallData(
+					SUPPORTS_INTERFACE_FN_SIG,
+					_.padEnd(WILDCARD_INTERFACE_ID, 66, '0')
+				),
+				block
+			);
+			return extractBytes(result, 1) === '0x01';
+		} catch (err) {
+			if (err instanceof CallRevertedError) {
+				return false;
+			}
+			throw err;
+		}
+	}
+
+	// Make a call, following any EIP-3668 `OffchainLookup` reverts through
+	// their gateways (CCIP-Read).
+	async _ccipCall(chainId, contract, data, block='latest') {
+		for (let redirects = 0; ; ++redirects) {
+			try {
+				return await this._call(chainId, contract, data, block);
+			} catch (err) {
+				if (!this.ccipRead
+						|| !(err instanceof CallRevertedError)
+						|| err.errorSelector !== OFFCHAIN_LOOKUP_SELECTOR) {
+					throw err;
+				}
+				if (redirects >= MAX_CCIP_REDIRECTS) {
+					throw new Error(`Too many CCIP-Read redirects calling ${contract}`);
+				}
+				const [ sender, urls, callData, callback, extraData ] =
+					abi.decodeParameters(
+						OFFCHAIN_LOOKUP_PARAMS,
+						'0x' + err.errorReturnData.substr(10),
+					);
+				if (sender.toLowerCase() !== contract.toLowerCase()) {
+					throw new Error(`CCIP-Read sender ${sender} does not match ${contract}`);
+				}
+				const response = await this._fetchOffchain(sender, urls, callData);
+				data = callback +
+					abi.encodeParameters([ 'bytes', 'bytes' ], [ response, extraData ]).substr(2);
+			}
 		}
 	}
 
+	// Ask CCIP-Read gateways, in order, for the response to an
+	// `OffchainLookup`. Per EIP-3668, URLs with `{data}` are fetched with GET,
+	// others are POSTed `{data, sender}`, and a 4xx response means we
+	// shouldn't bother with the rest.
+	async _fetchOffchain(sender, urls, callData) {
+		const fetch = this.fetch || global.fetch;
+		if (!fetch) {
+			throw new Error('CCIP-Read needs a fetch() function (the `ens.fetch` option).');
+		}
+		sender = sender.toLowerCase();
+		let reason = 'no gateway URLs';
+		for (const url of urls) {
+			const href = url.replace(/\{sender\}/g, sender).replace(/\{data\}/g, callData);
+			let status, body;
+			try {
+				const response = await fetch(
+					href,
+					url.includes('{data}')
+						? { method: 'GET' }
+						: {
+							method: 'POST',
+							headers: { 'Content-Type': 'application/json' },
+							body: JSON.stringify({ data: callData, sender }),
+						},
+				);
+				status = response.status;
+				body = await response.json().catch(() => ({}));
+			} catch (err) {
+				reason = err.message;
+				continue;
+			}
+			if (status >= 200 && status < 300 && _.isString(body.data) && /^0x/i.test(body.data)) {
+				return body.data;
+			}
+			reason = `${href} responded with ${status}${body.message ? `: ${body.message}` : ''}`;
+			if (status >= 400 && status < 500) {
+				break;
+			}
+		}
+		throw new Error(`CCIP-Read gateway request failed (${reason})`);
+	}
+
 	async _getTTL(chainId, hash, block='latest') {
-		const ens = getENSContract(chainId);
+		const ens = this._getRegistry(chainId);
 		const ttl = extractBytes(
 			await this._call(
 				chainId,
@@ -137,31 +367,35 @@ module.exports = class Resolver {
 	}
 }
 
-function hashName(name, topLevelOnly=false) {
-	if (!_.isString(name)) {
-		throw new Error('ENS name must be a string');
-	}
-	let hashBuffer = Buffer.alloc(32);
-	let labels = _.reverse(_.filter(name.toLowerCase().split('.')));
-	if (labels.length < 2) {
-		throw new Error(`Invalid ENS name: "${name}"`);
-	}
-	if (topLevelOnly) {
-		labels = labels.slice(0, 2);
-	}
-	for (const label of labels) {
-		const labelHash = ethjs.keccak256(Buffer.from(label));
-		hashBuffer = ethjs.keccak256(Buffer.concat([hashBuffer, labelHash]));
-	}
-	return ethjs.bufferToHex(hashBuffer);
+function splitName(name) {
+	return util.normalizeEnsName(name).split('.');
+}
+
+function hashName(name) {
+	return util.namehash(name);
 }
 
-function getENSContract(chainId) {
-	const ens = ENS_ADDRESSES[chainId];
-	if (ens) {
-		return ens;
+function isNormalized(name) {
+	try {
+		return util.normalizeEnsName(name) === name;
+	} catch (err) {
+		if (err instanceof util.InvalidEnsNameError) {
+			return false;
+		}
+		throw err;
 	}
-	throw new Error(`ENS is not supported on chain ID ${chainId}`);
+}
+
+// DNS wire format, as `resolve(bytes,bytes)` wants it.
+function dnsEncodeName(name) {
+	const labels = splitName(name).map(label => {
+		const bytes = Buffer.from(label);
+		if (bytes.length > 255) {
+			throw new Error(`ENS name label is too long: "${label}"`);
+		}
+		return Buffer.concat([ Buffer.from([ bytes.length ]), bytes ]);
+	});
+	return ethjs.bufferToHex(Buffer.concat([ ...labels, Buffer.alloc(1) ]));
 }
 
 function extractBytes(raw, size) {
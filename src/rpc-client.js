@@ -1,8 +1,8 @@
 'use strict'
 const _ = require('lodash');
 const ethjs = require('ethereumjs-util');
-const promisify = require('util').promisify;
 
+const abi = require('./abi');
 const {
 	asAddress,
 	asBlockNumber,
@@ -16,9 +16,21 @@ const {
 } = require('./util');
 
 module.exports = class RpcClient {
-	constructor(provider) {
+	constructor(provider, opts={}) {
 		this.provider = provider;
 		this._chainId = null;
+		this._batchOpts = null;
+		this._batchQueue = [];
+		this._middleware = [];
+		if (opts.batch) {
+			this._batchOpts = {
+				...DEFAULT_BATCH_OPTS,
+				...(_.isObject(opts.batch) ? opts.batch : {}),
+			};
+		}
+		if (opts.middleware) {
+			this.use(opts.middleware);
+		}
 	}
 
 	async getDefaultAccount() {
@@ -62,25 +74,112 @@ module.exports = class RpcClient {
 	async getLogs(filter) {
 		const result = await this._send(
 			'eth_getLogs',
-			[
-				{
-					fromBlock: !_.isNil(filter.fromBlock) ?
-						asBlockNumber(filter.fromBlock) : undefined,
-					toBlock: !_.isNil(filter.toBlock) ?
-						asBlockNumber(filter.toBlock) : undefined,
-					address: !_.isNil(filter.address) ?
-						asAddress(filter.address) : undefined,
-					blockhash: !_.isNil(filter.blockhash) ?
-						asHash(filter.blockhash) : undefined,
-					topics: _.isArray(filter.topics) ?
-						filter.topics.map(t => !_.isNil(t) ? toHex(t) : null) :
-						[],
-				}
-			],
+			[ marshallLogFilter(filter) ],
 		);
 		return result.map(log => normalizeLog(log));
 	}
 
+	async newFilter(filter) {
+		return this._send(
+			'eth_newFilter',
+			[ marshallLogFilter(filter) ],
+		);
+	}
+
+	async getFilterChanges(filterId) {
+		const result = await this._send(
+			'eth_getFilterChanges',
+			[ filterId ],
+		);
+		// Log filters return logs, block filters return block hashes.
+		return result.map(r => _.isObject(r) ? normalizeLog(r) : r);
+	}
+
+	async uninstallFilter(filterId) {
+		return this._send(
+			'eth_uninstallFilter',
+			[ filterId ],
+		);
+	}
+
+	// Whether the provider can push `eth_subscribe` notifications to us.
+	supportsSubscriptions() {
+		const provider = this.provider;
+		if (!provider || !_.isFunction(provider.on)) {
+			return false;
+		}
+		if (_.isFunction(provider.supportsSubscriptions)) {
+			return !!provider.supportsSubscriptions();
+		}
+		// EIP-1193 providers.
+		return _.isFunction(provider.request);
+	}
+
+	// Subscribe to notifications with `eth_subscribe`, calling `onResult()`
+	// with each one. Resolves to `{id, unsubscribe}`.
+	async subscribe(params, onResult) {
+		const provider = this.provider;
+		// EIP-1193 providers emit 'message' events, web3 providers emit 'data'
+		// events with the raw JSON-RPC notification (as the second argument
+		// in older ones).
+		const event = _.isFunction(provider.request) ? 'message' : 'data';
+		const pending = [];
+		let id = null;
+		const listener = (message, legacyMessage) => {
+			message = message || legacyMessage || {};
+			const notification = message.type === 'eth_subscription'
+				? message.data
+				: _.endsWith(message.method, '_subscription') ? message.params : null;
+			if (!notification) {
+				return;
+			}
+			// Notifications can arrive before we know our subscription ID.
+			if (id === null) {
+				return pending.push(notification);
+			}
+			if (notification.subscription === id) {
+				onResult(notification.result);
+			}
+		};
+		provider.on(event, listener);
+		const removeListener = () => {
+			(provider.removeListener || provider.off).call(provider, event, listener);
+		};
+		try {
+			id = await this._send('eth_subscribe', params);
+		} catch (err) {
+			removeListener();
+			throw err;
+		}
+		for (const notification of pending.splice(0, pending.length)) {
+			if (notification.subscription === id) {
+				onResult(notification.result);
+			}
+		}
+		return {
+			id,
+			unsubscribe: async () => {
+				removeListener();
+				return this._send('eth_unsubscribe', [ id ]);
+			},
+		};
+	}
+
+	async subscribeNewHeads(onHeader) {
+		return this.subscribe(
+			[ 'newHeads' ],
+			header => onHeader(normalizeBlock(header)),
+		);
+	}
+
+	async subscribeLogs(filter, onLog) {
+		const { address, topics } = marshallLogFilter(filter);
+		return this.subscribe(
+			[ 'logs', { address, topics } ],
+			log => onLog(normalizeLog(log)),
+		);
+	}
+
 	async getGasPrice() {
 		return toUnsigned(await this._send('eth_gasPrice'));
 	}
@@ -93,14 +192,14 @@ module.exports = class RpcClient {
 		return toNumber(await this._send('eth_blockNumber'));
 	}
 
-	async getBlock(numberOrHash='latest') {
+	async getBlock(numberOrHash='latest', fullTransactions=false) {
 		let result;
 		if (isHash(numberOrHash)) {
 			result = await this._send(
 				'eth_getBlockByHash',
 				[
 					asHash(numberOrHash),
-					false,
+					!!fullTransactions,
 				],
 			);
 		} else {
@@ -108,11 +207,11 @@ module.exports = class RpcClient {
 				'eth_getBlockByNumber',
 				[
 					asBlockNumber(numberOrHash),
-					false,
+					!!fullTransactions,
 				],
 			);
 		}
-		return normalizeBlock(result);
+		return result ? normalizeBlock(result) : result;
 	}
 
 	async estimateGas(tx, blockNumber='latest') {
@@ -181,6 +280,64 @@ module.exports = class RpcClient {
 		);
 	}
 
+	async signTransaction(tx) {
+		const result = await this._send('eth_signTransaction',
+			[{
+				// Typed transactions get signed as legacy ones without these.
+				chainId: !_.isNil(tx.chainId) ? toHex(tx.chainId) : undefined,
+				type: !_.isNil(tx.type) ? toHex(tx.type) : undefined,
+				to: !_.isNil(tx.to) ? asAddress(tx.to) : undefined,
+				from: !_.isNil(tx.from) ? asAddress(tx.from) : undefined,
+				gas: !_.isNil(tx.gas) ? toHex(tx.gas) : undefined,
+				gasPrice: !_.isNil(tx.gasPrice) ? toHex(tx.gasPrice) : undefined,
+				maxPriorityFeePerGas: !_.isNil(tx.maxPriorityFeePerGas) ? toHex(tx.maxPriorityFeePerGas) : undefined,
+				maxFeePerGas: !_.isNil(tx.maxFeePerGas) ? toHex(tx.maxFeePerGas) : undefined,
+				nonce: !_.isNil(tx.nonce) ? toHex(tx.nonce) : undefined,
+				value: !_.isNil(tx.value) ? toHex(tx.value) : undefined,
+				data: !_.isNil(tx.data) ? asBytes(tx.data) : undefined,
+			}],
+		);
+		// Geth returns `{raw, tx}`, others just the raw bytes.
+		return asBytes(_.isObject(result) ? result.raw : result);
+	}
+
+	async personalSign(message, from) {
+		try {
+			return asBytes(await this._send(
+				'personal_sign',
+				[ asBytes(message), asAddress(from) ],
+			));
+		} catch (err) {
+			if (!isMethodNotFoundError(err)) {
+				throw err;
+			}
+		}
+		// Older nodes only have `eth_sign`, which also applies the EIP-191
+		// prefix but takes its params the other way around.
+		return asBytes(await this._send(
+			'eth_sign',
+			[ asAddress(from), asBytes(message) ],
+		));
+	}
+
+	async signTypedData(from, typedData) {
+		try {
+			return asBytes(await this._send(
+				'eth_signTypedData_v4',
+				[ asAddress(from), JSON.stringify(typedData) ],
+			));
+		} catch (err) {
+			if (!isMethodNotFoundError(err)) {
+				throw err;
+			}
+		}
+		// Ganache only has the unversioned method, which takes an object.
+		return asBytes(await this._send(
+			'eth_signTypedData',
+			[ asAddress(from), typedData ],
+		));
+	}
+
 	async sendRawTransaction(raw) {
 		return this._send(
 			'eth_sendRawTransaction',
@@ -211,50 +368,257 @@ module.exports = class RpcClient {
 		return this._chainId = toNumber(await this._send('eth_chainId'));
 	}
 
-	async _send(method, params=[]) {
-		let sendPayload =
-			this.provider.sendPayload ||
-			this.provider.sendAsync ||
-			this.provider.send;
-		const numArgs = sendPayload.length;
-		sendPayload = _.bind(sendPayload, this.provider);
-		if (numArgs > 1) {
-			sendPayload = promisify(sendPayload);
+	// Run `fn` with a client whose calls made in the same tick are sent
+	// together as one JSON-RPC batch.
+	async batch(fn) {
+		const client = Object.create(this);
+		client._batchOpts = { ...DEFAULT_BATCH_OPTS, ...this._batchOpts };
+		client._batchQueue = [];
+		return fn(client);
+	}
+
+	// Add middleware around every request. Each middleware is called as
+	// `middleware(req, next)`, where `req` is `{method, params}` and `next(req)`
+	// passes the (possibly modified) request down the chain and resolves to
+	// its result.
+	use(...middleware) {
+		for (const fn of _.flatten(middleware)) {
+			if (!_.isFunction(fn)) {
+				throw new TypeError('Middleware must be a function.');
+			}
+			this._middleware.push(fn);
 		}
-		const id = Math.floor(Math.random() * 2**32);
-		const response = await sendPayload({
+		return this;
+	}
+
+	async _send(method, params=[]) {
+		const dispatch = async (index, req) => {
+			if (index < this._middleware.length) {
+				return this._middleware[index](
+					req,
+					(nextReq=req) => dispatch(index + 1, nextReq),
+				);
+			}
+			return this._sendRequest(req.method, req.params);
+		};
+		return dispatch(0, { method, params });
+	}
+
+	async _sendRequest(method, params=[]) {
+		const payload = {
 			jsonrpc: "2.0",
-			id,
+			id: createId(),
 			method: method,
 			params: params,
+		};
+		const response = this._batchOpts
+			? await this._enqueue(payload)
+			: await this._sendPayload(payload);
+		return handleResponse(payload, response);
+	}
+
+	async _sendPayload(payload) {
+		return sendProviderPayload(this.provider, payload);
+	}
+
+	_enqueue(payload) {
+		return new Promise((accept, reject) => {
+			const queue = this._batchQueue;
+			queue.push({ payload, accept, reject });
+			if (queue.length >= this._batchOpts.maxSize) {
+				this._flush();
+			} else if (queue.length === 1) {
+				this._batchTimer = setTimeout(() => this._flush(), this._batchOpts.wait);
+			}
 		});
-		if (response.id !== id) {
-			throw new RpcError(`Expected RPC id=${id} but got id=${response.id}`);
+	}
+
+	async _flush() {
+		clearTimeout(this._batchTimer);
+		const queue = this._batchQueue.splice(0, this._batchQueue.length);
+		if (queue.length === 0) {
+			return;
 		}
-		if (response.error) {
-			let errorReturnData;
-			if (response.error.data) {
-				errorReturnData = response.error.data;
-				if (typeof(errorReturnData) === 'object') {
-					const errorTxHash = Object.keys(errorReturnData).filter(k => k.startsWith('0x'))[0]
-					const errorData = errorReturnData[errorTxHash];
-					if (errorData && errorData.return) {
-						errorReturnData = errorData.return;
-					}
+		if (queue.length === 1) {
+			// No point in batching a single request.
+			const [{ payload, accept, reject }] = queue;
+			return this._sendPayload(payload).then(accept, reject);
+		}
+		let responses;
+		try {
+			responses = await this._sendPayload(queue.map(q => q.payload));
+			if (!_.isArray(responses)) {
+				throw new RpcError(`Expected a batch response but got ${JSON.stringify(responses).slice(0, 64)}`);
+			}
+		} catch (err) {
+			for (const { reject } of queue) {
+				reject(err);
+			}
+			return;
+		}
+		const responsesById = _.keyBy(responses, r => r.id);
+		for (const { payload, accept } of queue) {
+			// Missing responses get caught by the id check in `handleResponse()`.
+			accept(responsesById[payload.id] || {});
+		}
+	}
+}
+
+const DEFAULT_BATCH_OPTS = {
+	// How long (in milliseconds) to collect calls before sending a batch.
+	wait: 0,
+	// Send a batch as soon as it has this many calls.
+	maxSize: 100,
+};
+const REVERT_REGEX = /revert/i;
+// Methods that run code and can fail with just a revert message.
+const REVERTING_METHODS = ['eth_call', 'eth_estimateGas'];
+const REVERT_DATA_REGEX = /^0x[0-9a-f]{8}/i;
+// Selectors for `Error(string)` and `Panic(uint256)`.
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+const PANIC_REASONS = {
+	0x00: 'generic compiler panic',
+	0x01: 'assertion failed',
+	0x11: 'arithmetic overflow or underflow',
+	0x12: 'division or modulo by zero',
+	0x21: 'invalid enum value',
+	0x22: 'invalid storage byte array encoding',
+	0x31: 'pop() on an empty array',
+	0x32: 'array index out of bounds',
+	0x41: 'out of memory',
+	0x51: 'call to an uninitialized function',
+};
+// Errors providers return when an `eth_getLogs` range has too many results
+// or spans too many blocks.
+const LOG_RANGE_ERROR_REGEX = /query returned more than|more than [0-9,]+ results|response size (exceeded|is larger)|range (is )?too (large|wide|big)|maximum block range|block range (limit|exceeded)|limited to a [0-9,]+ (block )?range|too many (blocks|logs|results)/i;
+const METHOD_NOT_FOUND_REGEX = /method .*(not supported|not found|does not exist|not available)/i;
+
+// Send a raw JSON-RPC payload (or batch of payloads) through a provider,
+// whatever its flavor.
+async function sendProviderPayload(provider, payload) {
+	let sendPayload =
+		provider.sendPayload ||
+		provider.sendAsync ||
+		provider.send;
+	const numArgs = sendPayload.length;
+	sendPayload = _.bind(sendPayload, provider);
+	if (numArgs > 1) {
+		return new Promise((accept, reject) => {
+			sendPayload(payload, (err, response) => {
+				// Ganache fails with a vague error alongside a response
+				// that has the JSON-RPC error (and revert data) in it.
+				if (err && !_.isObject(response)) {
+					return reject(err);
 				}
+				accept(response);
+			});
+		});
+	}
+	return sendPayload(payload);
+}
+
+function createId() {
+	return Math.floor(Math.random() * 2**32);
+}
+
+function handleResponse(payload, response) {
+	const { id, method, params } = payload;
+	if (response.id !== id) {
+		throw new RpcError(`Expected RPC id=${id} but got id=${response.id}`);
+	}
+	if (response.error) {
+		const { message, code, data } = response.error;
+		let revertData = data;
+		if (_.isObject(data)) {
+			const errorTxHash = Object.keys(data).filter(k => k.startsWith('0x'))[0]
+			const errorData = data[errorTxHash];
+			if (errorData && errorData.return) {
+				revertData = errorData.return;
+			} else {
+				// Some nodes nest it one more level.
+				revertData = _.isString(data.data) ? data.data : undefined;
 			}
-			throw new RpcError(
-				[
-					`method=${JSON.stringify(method)}`,
-					`params=${JSON.stringify(params).slice(0, 64)}${JSON.stringify(params).length > 64 ? '...' : ''}`,
-					`error="${(response.error || {}).message}"`,
-					...(errorReturnData ? [`errorData=${errorReturnData}`] : []),
-				].join(', '),
-				{ errorReturnData },
-			);
 		}
-		return response.result;
+		// Only calls get to say they reverted without the data to show for it.
+		const isRevert = (_.isString(revertData) && REVERT_DATA_REGEX.test(revertData)) ||
+			(REVERTING_METHODS.includes(method) && REVERT_REGEX.test(message));
+		// Anything else keeps whatever data the node sent.
+		const errorReturnData = isRevert ? revertData : data;
+		throw new (isRevert ? CallRevertedError : RpcError)(
+			[
+				`method=${JSON.stringify(method)}`,
+				`params=${JSON.stringify(params).slice(0, 64)}${JSON.stringify(params).length > 64 ? '...' : ''}`,
+				`error="${message}"`,
+				...(errorReturnData ? [`errorData=${_.isString(errorReturnData)
+					? errorReturnData : JSON.stringify(errorReturnData)}`] : []),
+			].join(', '),
+			{ errorReturnData, code },
+		);
+	}
+	return response.result;
+}
+
+function decodeRevertData(data) {
+	if (!_.isString(data) || !REVERT_DATA_REGEX.test(data)) {
+		return {};
+	}
+	const errorSelector = data.slice(0, 10).toLowerCase();
+	let args;
+	try {
+		if (errorSelector === ERROR_SELECTOR) {
+			args = abi.decodeParameters(['string reason'], '0x' + data.slice(10));
+			return {
+				errorSelector,
+				errorName: 'Error',
+				errorSignature: 'Error(string)',
+				errorArgs: args,
+				reason: args[0],
+			};
+		}
+		if (errorSelector === PANIC_SELECTOR) {
+			args = abi.decodeParameters(['uint256 code'], '0x' + data.slice(10));
+			const panicCode = toNumber(args[0]);
+			return {
+				errorSelector,
+				errorName: 'Panic',
+				errorSignature: 'Panic(uint256)',
+				errorArgs: args,
+				panicCode,
+				reason: PANIC_REASONS[panicCode] || `unknown panic code 0x${panicCode.toString(16)}`,
+			};
+		}
+	} catch (err) {
+		// Malformed revert data.
 	}
+	return { errorSelector };
+}
+
+function isLogRangeError(err) {
+	return LOG_RANGE_ERROR_REGEX.test((err && err.message) || '');
+}
+
+function isMethodNotFoundError(err) {
+	return err.code === -32601 || METHOD_NOT_FOUND_REGEX.test(err.message);
+}
+
+function marshallLogFilter(filter) {
+	return {
+		fromBlock: !_.isNil(filter.fromBlock) ?
+			asBlockNumber(filter.fromBlock) : undefined,
+		toBlock: !_.isNil(filter.toBlock) ?
+			asBlockNumber(filter.toBlock) : undefined,
+		address: !_.isNil(filter.address) ?
+			asAddress(filter.address) : undefined,
+		blockhash: !_.isNil(filter.blockhash) ?
+			asHash(filter.blockhash) : undefined,
+		topics: _.isArray(filter.topics) ?
+			filter.topics.map(t => _.isNil(t)
+				? null
+				// Any of several topics.
+				: _.isArray(t) ? t.map(toHex) : toHex(t)) :
+			[],
+	};
 }
 
 function marshallStateOverride(override) {
@@ -287,11 +651,18 @@ function normalizeBlock(block) {
 		timestamp: toNumber(block.timestamp),
 		totalDifficulty: toNumber(block.totalDifficulty),
 		miner: block.miner ? toChecksumAddress(block.miner) : undefined,
+		...(_.isArray(block.transactions)
+			? {
+				transactions: block.transactions.map(tx => _.isObject(tx)
+					? normalizeTransaction(tx) : tx),
+			}
+			: {}
+		),
 	};
 }
 
 function normalizeReceipt(receipt) {
-	return {
+	const normalized = {
 		...receipt,
 		...(receipt.effectiveGasPrice ? { effectiveGasPrice: toUnsigned(receipt.effectiveGasPrice) } : {}),
 		blockNumber: toNumber(receipt.blockNumber),
@@ -303,6 +674,11 @@ function normalizeReceipt(receipt) {
 			toChecksumAddress(receipt.contractAddress) : undefined,
 		logs: receipt.logs.map(log => normalizeLog(log)),
 	};
+	// Not enumerable so receipts still look like plain data.
+	Object.defineProperty(normalized, 'decodeLogs', {
+		value: eventAbi => abi.decodeLogs(eventAbi, normalized.logs),
+	});
+	return normalized;
 }
 
 function normalizeLog(log) {
@@ -342,4 +718,44 @@ class RpcError extends Error {
 	}
 };
 
+// An `eth_call` or `eth_estimateGas` that reverted. Has any of these fields,
+// depending on the revert data:
+// - `reason`: The `Error(string)` message or a description of the panic code.
+// - `panicCode`: The `Panic(uint256)` code, as a number.
+// - `errorName`, `errorArgs`, `errorSignature`: The decoded error, if it's
+//   `Error`, `Panic`, or a custom error decoded by `decodeCustomError()`.
+// - `errorSelector`: The 4-byte selector of the error.
+class CallRevertedError extends RpcError {
+	constructor(msg, data = {}) {
+		const decoded = decodeRevertData(data.errorReturnData);
+		super(
+			decoded.reason ? `${msg}, reason=${JSON.stringify(decoded.reason)}` : msg,
+			{ ...data, ...decoded },
+		);
+	}
+
+	// Try to decode a custom error against `errorAbi` (JSON fragments or
+	// human-readable error signatures).
+	decodeCustomError(errorAbi) {
+		if (!this.errorName && this.errorSelector) {
+			let decoded = null;
+			try {
+				decoded = abi.decodeWithSelector(errorAbi, this.errorReturnData, 'error');
+			} catch (err) {
+				// Malformed revert data.
+			}
+			if (decoded) {
+				this.errorName = decoded.name;
+				this.errorSignature = decoded.signature;
+				this.errorArgs = decoded.args;
+			}
+		}
+		return this;
+	}
+};
+
 module.exports.RpcError = RpcError;
+module.exports.CallRevertedError = CallRevertedError;
+module.exports.isLogRangeError = isLogRangeError;
+module.exports.isMethodNotFoundError = isMethodNotFoundError;
+module.exports.sendProviderPayload = sendProviderPayload;
@@ -0,0 +1,137 @@
+'use strict'
+const ethjs = require('ethereumjs-util');
+const ethjsTx = require('@ethereumjs/tx');
+const ethjscom = require('@ethereumjs/common').default;
+
+const util = require('./util');
+const wallet = require('./wallet');
+
+// Base class for anything that can sign on behalf of an account.
+// Implementations must provide `getAddress()` and either `signTransaction()`
+// or `sendTransaction()`. The rest are optional.
+class Signer {
+	async getAddress() {
+		throw new SignerMethodNotSupportedError(this, 'getAddress');
+	}
+
+	// Sign an unsigned transaction, returning the raw serialized transaction.
+	// `tx` holds hex-encoded fields, including `chainId` and `type`
+	// (0 = legacy, 1 = EIP-2930, 2 = EIP-1559). `opts.common` is the
+	// `@ethereumjs/common` `Common` for the chain and hardfork, if known.
+	async signTransaction(tx, opts={}) {
+		throw new SignerMethodNotSupportedError(this, 'signTransaction');
+	}
+
+	// Sign an EIP-191 personal message, returning a hex signature.
+	async signMessage(message) {
+		throw new SignerMethodNotSupportedError(this, 'signMessage');
+	}
+
+	// Sign EIP-712 typed data (`{domain, types, primaryType, message}`),
+	// returning a hex signature.
+	async signTypedData(typedData) {
+		throw new SignerMethodNotSupportedError(this, 'signTypedData');
+	}
+}
+
+// Signs everything locally with a raw private key.
+class KeySigner extends Signer {
+	constructor(key) {
+		super();
+		this._key = ethjs.toBuffer(key);
+		this.address = util.privateKeyToAddress(this._key);
+	}
+
+	// Create a signer from an encrypted (v3) JSON keystore.
+	static async fromKeystore(keystore, password) {
+		return new KeySigner(await wallet.decryptKeystore(keystore, password));
+	}
+
+	// Create a signer from an account derived from a BIP-39 mnemonic.
+	// See `wallet.mnemonicToAccount()` for `opts`.
+	static async fromMnemonic(mnemonic, opts={}) {
+		return new KeySigner((await wallet.mnemonicToAccount(mnemonic, opts)).key);
+	}
+
+	async getAddress() {
+		return this.address;
+	}
+
+	async signTransaction(tx, opts={}) {
+		const common = opts.common || ethjscom.forCustomChain(
+			'mainnet',
+			{ chainId: util.toNumber(tx.chainId) },
+			'london',
+		);
+		const signed = ethjsTx.TransactionFactory
+			.fromTxData(tx, { common })
+			.sign(this._key);
+		return util.asBytes(signed.serialize());
+	}
+
+	async signMessage(message) {
+		const { v, r, s } = ethjs.ecsign(
+			ethjs.toBuffer(util.hashMessage(message)),
+			this._key,
+		);
+		return ethjs.toRpcSig(v, r, s);
+	}
+
+	async signTypedData(typedData) {
+		const { v, r, s } = ethjs.ecsign(
+			ethjs.toBuffer(util.hashTypedData(typedData)),
+			this._key,
+		);
+		return ethjs.toRpcSig(v, r, s);
+	}
+}
+
+// Lets the provider sign for one of its accounts.
+class ProviderSigner extends Signer {
+	constructor(rpc, address=undefined) {
+		super();
+		this.rpc = rpc;
+		this.address = address;
+	}
+
+	async getAddress() {
+		if (!this.address) {
+			this.address = await this.rpc.getDefaultAccount();
+		}
+		return this.address;
+	}
+
+	async signTransaction(tx) {
+		return this.rpc.signTransaction({ ...tx, from: await this.getAddress() });
+	}
+
+	// Providers broadcast transactions they sign themselves.
+	async sendTransaction(tx) {
+		return this.rpc.sendTransaction({ ...tx, from: await this.getAddress() });
+	}
+
+	async signMessage(message) {
+		return this.rpc.personalSign(
+			util.messageToBytes(message),
+			await this.getAddress(),
+		);
+	}
+
+	async signTypedData(typedData) {
+		return this.rpc.signTypedData(await this.getAddress(), typedData);
+	}
+}
+
+class SignerMethodNotSupportedError extends Error {
+	constructor(signer, method) {
+		super(`${signer.constructor.name} does not support ${method}()`);
+		this.name = this.constructor.name;
+	}
+};
+
+module.exports = {
+	Signer,
+	KeySigner,
+	ProviderSigner,
+	SignerMethodNotSupportedError,
+};
@@ -1,40 +1,312 @@
 'use strict'
+const _ = require('lodash');
+const EventEmitter = require('events');
 
 const CONFIRMATION_INTERVAL_MS = 4 * 1000;
+const DROPPED_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_TRACKED_CONFIRMATIONS = 12;
 
-function createTransactionPromise(flexEther, txHashPromise) {
-    const confirmed = async function(minConfirmations=0) {
+function createTransactionPromise(flexEther, txHashPromise, opts={}) {
+    const emitter = new EventEmitter();
+    // Hashes of the original transaction and any replacements for it.
+    const txHashes = [];
+    // The last receipt and confirmation count reported to listeners.
+    let lastReceipt = null;
+    let lastConfirmations = -1;
+    const observe = function(receipt, confirmations) {
+        if (lastReceipt && (!receipt || receipt.blockHash !== lastReceipt.blockHash)) {
+            // The block our receipt was in got orphaned.
+            const oldReceipt = lastReceipt;
+            lastReceipt = null;
+            lastConfirmations = -1;
+            emitter.emit('reorg', oldReceipt, receipt || null);
+        }
+        if (!receipt) {
+            return;
+        }
+        if (!lastReceipt) {
+            lastReceipt = receipt;
+            emitter.emit('receipt', receipt);
+        }
+        if (confirmations > lastConfirmations) {
+            lastConfirmations = confirmations;
+            emitter.emit('confirmation', confirmations, receipt);
+        }
+    };
+    const confirmed = async function(minConfirmations=0, confirmOpts={}) {
+        const signal = confirmOpts.signal;
+        const timeout = confirmOpts.timeout;
+        const droppedTimeout = _.isNumber(confirmOpts.droppedTimeout)
+            ? confirmOpts.droppedTimeout
+            : _.isNumber(flexEther.droppedTimeout)
+                ? flexEther.droppedTimeout : DROPPED_TIMEOUT_MS;
+        const interval = _.isNumber(flexEther.confirmationInterval)
+            ? flexEther.confirmationInterval : CONFIRMATION_INTERVAL_MS;
+        const startedAt = _.now();
+        throwIfAborted(signal);
         const txHash = await txHashPromise;
+        if (!txHashes.includes(txHash)) {
+            txHashes.unshift(txHash);
+        }
+        let lastSeenAt = startedAt;
         while (true) {
+            throwIfAborted(signal);
+            if (_.isNumber(timeout) && _.now() - startedAt >= timeout) {
+                throw new TransactionTimeoutError(txHash, timeout);
+            }
             const [
                 receipt,
                 confirmations
-            ] = await getConfirmationsAndWait(flexEther, txHash);
-            if (receipt && confirmations >= minConfirmations) {
-                return receipt;
+            ] = await getConfirmations(flexEther, txHashes);
+            observe(receipt, confirmations);
+            if (receipt) {
+                lastSeenAt = _.now();
+                if (confirmations >= minConfirmations) {
+                    if (opts.rejectOnFailure && receipt.status === 0) {
+                        throw await getFailedError(receipt);
+                    }
+                    return receipt;
+                }
+            } else {
+                await checkPending();
             }
+            // Delay the next check.
+            await wait(
+                _.isNumber(timeout)
+                    ? _.clamp(startedAt + timeout - _.now(), 0, interval)
+                    : interval,
+                signal,
+            );
+        }
+
+        async function checkPending() {
+            if (opts.getSender) {
+                const { from, nonce } = await opts.getSender();
+                if (await flexEther.getTransactionCount(from) > nonce) {
+                    // Something with our nonce got mined. Make sure it
+                    // wasn't us before giving up.
+                    const [receipt, confirmations] =
+                        await getConfirmations(flexEther, txHashes);
+                    observe(receipt, confirmations);
+                    if (!receipt) {
+                        throw new TransactionReplacedError(txHash, from, nonce);
+                    }
+                    return;
+                }
+            }
+            if (await isAnyTransactionKnown(flexEther, txHashes)) {
+                lastSeenAt = _.now();
+            } else if (_.now() - lastSeenAt >= droppedTimeout) {
+                throw new TransactionDroppedError(txHash, droppedTimeout);
+            }
+        }
+    };
+    // Only replay a failed transaction once per block it's mined in.
+    const failedErrors = {};
+    const getFailedError = function(receipt) {
+        const key = `${receipt.transactionHash}:${receipt.blockHash}`;
+        if (!failedErrors[key]) {
+            failedErrors[key] = (async () => {
+                const revertError = opts.getRevertError
+                    ? await opts.getRevertError(receipt) : null;
+                return new TransactionFailedError(receipt, revertError);
+            })();
         }
+        return failedErrors[key];
     };
+    const replace = async function(replaceOpts) {
+        if (!opts.replace) {
+            throw new Error('Transaction cannot be replaced.');
+        }
+        const txHash = await opts.replace(replaceOpts);
+        txHashes.push(txHash);
+        return txHash;
+    };
+    // Keeps watching the transaction after it's mined for as long as
+    // someone is listening for confirmations or reorgs.
+    let tracking = null;
+    const isTracked = () =>
+        emitter.listenerCount('confirmation') + emitter.listenerCount('reorg') > 0;
+    const updateTracking = function() {
+        if (!tracking && isTracked()) {
+            const controller = createCanceller();
+            tracking = controller;
+            confirmed(MAX_TRACKED_CONFIRMATIONS, { signal: controller.signal })
+                .catch(_.noop)
+                .then(() => {
+                    if (tracking === controller) {
+                        tracking = null;
+                    }
+                });
+        } else if (tracking && !isTracked()) {
+            tracking.abort();
+            tracking = null;
+        }
+    };
+    // Covers `once()` listeners removing themselves.
+    emitter.on('removeListener', () => updateTracking());
     const txPromise = confirmed();
-    txPromise.txHash = txPromise.transactionHash = txPromise.txId = txHashPromise;
+    txHashPromise.then(txHash => emitter.emit('hash', txHash), _.noop);
+    // If sending fails, whoever waits on the hash already gets the error, so
+    // don't make them handle it again on the receipt. Anything that goes
+    // wrong after it's sent still rejects the receipt as usual.
+    const getTxHash = () => {
+        txHashPromise.catch(() => txPromise.catch(_.noop));
+        return txHashPromise;
+    };
+    for (const name of ['txHash', 'transactionHash', 'txId']) {
+        Object.defineProperty(txPromise, name, { get: getTxHash, enumerable: true });
+    }
     txPromise.confirmed = confirmed;
-    txPromise.receipt = txPromise;;
+    txPromise.receipt = txPromise;
+    txPromise.speedUp = (speedUpOpts={}) => replace({ ...speedUpOpts, cancel: false });
+    txPromise.cancel = (cancelOpts={}) => replace({ ...cancelOpts, cancel: true });
+    for (const method of ['on', 'once', 'addListener', 'prependListener', 'prependOnceListener']) {
+        txPromise[method] = (event, listener) => {
+            emitter[method](event, listener);
+            updateTracking();
+            return txPromise;
+        };
+    }
+    for (const method of ['off', 'removeListener', 'removeAllListeners']) {
+        txPromise[method] = (...args) => {
+            emitter[method](...args);
+            updateTracking();
+            return txPromise;
+        };
+    }
+    txPromise.listenerCount = event => emitter.listenerCount(event);
     return txPromise;
 }
 
-async function getConfirmationsAndWait(flexEther, txHash) {
+async function getConfirmations(flexEther, txHashes) {
     // Need to keep fetching the receipt block number in case of a re-org.
-    const [receipt, currentBlockNumber] = await Promise.all([
-        await flexEther.getTransactionReceipt(txHash),
-        await flexEther.getBlockNumber(),
+    const [receipts, currentBlockNumber] = await Promise.all([
+        Promise.all(txHashes.map(h => flexEther.getTransactionReceipt(h))),
+        flexEther.getBlockNumber(),
     ]);
-    if (receipt === null) {
-        // No receipt available yet. Delay the response.
-        return new Promise((accept, reject) => {
-            setTimeout(() => accept([]), CONFIRMATION_INTERVAL_MS);
-        });
+    // Only one transaction with this nonce can ever be mined.
+    const receipt = receipts.find(r => r);
+    if (!receipt) {
+        return [];
     }
     return [receipt, currentBlockNumber - receipt.blockNumber];
+}
+
+async function isAnyTransactionKnown(flexEther, txHashes) {
+    const txs = await Promise.all(txHashes.map(h => flexEther.getTransaction(h)));
+    return txs.some(tx => tx);
+}
+
+function wait(ms, signal) {
+    return new Promise((accept, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError(signal));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            accept();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// Just enough of an `AbortController` for stopping our own waits, since
+// older versions of Node don't have one.
+function createCanceller() {
+    const listeners = [];
+    const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => listeners.push(listener),
+        removeEventListener: (type, listener) => _.pull(listeners, listener),
+    };
+    return {
+        signal,
+        abort() {
+            if (!signal.aborted) {
+                signal.aborted = true;
+                for (const listener of listeners.splice(0, listeners.length)) {
+                    listener();
+                }
+            }
+        },
+    };
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError(signal);
+    }
+}
+
+function createAbortError(signal) {
+    if (signal.reason) {
+        return signal.reason;
+    }
+    const err = new Error('The operation was aborted.');
+    err.name = 'AbortError';
+    return err;
+}
+
+// A transaction that got mined but reverted. Has the same revert fields as
+// `CallRevertedError` if the revert could be replayed.
+class TransactionFailedError extends Error {
+    constructor(receipt, revertError=null) {
+        const reason = revertError ? revertError.reason : undefined;
+        super([
+            `Transaction ${receipt.transactionHash} failed in block ${receipt.blockNumber}`,
+            ...(reason ? [`reason=${JSON.stringify(reason)}`] : []),
+        ].join(', '));
+        this.name = this.constructor.name;
+        this.txHash = receipt.transactionHash;
+        this.receipt = receipt;
+        if (revertError) {
+            Object.assign(this, _.pick(revertError, [
+                'reason',
+                'panicCode',
+                'errorName',
+                'errorSignature',
+                'errorArgs',
+                'errorSelector',
+                'errorReturnData',
+            ]));
+        }
+    }
+};
+
+class TransactionTimeoutError extends Error {
+    constructor(txHash, timeout) {
+        super(`Timed out after ${timeout}ms waiting for transaction ${txHash}`);
+        this.name = this.constructor.name;
+        this.txHash = txHash;
+    }
+};
+
+class TransactionDroppedError extends Error {
+    constructor(txHash, droppedTimeout) {
+        super(`Transaction ${txHash} has not been seen in ${droppedTimeout}ms and was likely dropped`);
+        this.name = this.constructor.name;
+        this.txHash = txHash;
+    }
+};
+
+class TransactionReplacedError extends Error {
+    constructor(txHash, from, nonce) {
+        super(`Transaction ${txHash} was replaced by another transaction from ${from} with nonce ${nonce}`);
+        this.name = this.constructor.name;
+        this.txHash = txHash;
+        this.from = from;
+        this.nonce = nonce;
+    }
 };
 
 module.exports = createTransactionPromise;
+module.exports.TransactionFailedError = TransactionFailedError;
+module.exports.TransactionTimeoutError = TransactionTimeoutError;
+module.exports.TransactionDroppedError = TransactionDroppedError;
+module.exports.TransactionReplacedError = TransactionReplacedError;
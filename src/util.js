@@ -1,10 +1,23 @@
 'use strict'
 const _ = require('lodash');
 const ethjs = require('ethereumjs-util');
+const ensNormalize = require('@adraffy/ens-normalize');
 
 const HASH_REGEX = /^0x([0-9a-f]{2}){32}$/i;
 const HEX_REGEX = /^0x[0-9a-f]*$/i;
 const UNSIGNED_REGEX = /^[0-9]+$/;
+const INTEGER_REGEX = /^-?[0-9]+$/;
+const ARRAY_TYPE_REGEX = /^(.+)\[([0-9]*)\]$/;
+const INTEGER_TYPE_REGEX = /^(u?)int([0-9]*)$/;
+const FIXED_BYTES_TYPE_REGEX = /^bytes([0-9]+)$/;
+// Field types for the EIP-712 domain, in canonical order.
+const EIP712_DOMAIN_FIELDS = [
+	{ name: 'name', type: 'string' },
+	{ name: 'version', type: 'string' },
+	{ name: 'chainId', type: 'uint256' },
+	{ name: 'verifyingContract', type: 'address' },
+	{ name: 'salt', type: 'bytes32' },
+];
 
 function privateKeyToAddress(key) {
 	return toChecksumAddress(
@@ -12,10 +25,310 @@ function privateKeyToAddress(key) {
 	);
 }
 
+// The bytes of a message to sign, as hex. Strings are treated as UTF-8 text.
+function messageToBytes(message) {
+	if (typeof(message) === 'string') {
+		return ethjs.bufferToHex(Buffer.from(message, 'utf8'));
+	}
+	if (_.isBuffer(message) || message instanceof Uint8Array) {
+		return ethjs.bufferToHex(Buffer.from(message));
+	}
+	throw new InvalidBytesError(message);
+}
+
+// EIP-191 (version 0x45) personal message hash.
+function hashMessage(message) {
+	return ethjs.bufferToHex(
+		ethjs.hashPersonalMessage(ethjs.toBuffer(messageToBytes(message))),
+	);
+}
+
+// Recover the address that produced an EIP-191 personal message signature.
+function recoverMessageSigner(message, signature) {
+	return recoverSigner(hashMessage(message), signature);
+}
+
+// Check whether `signature` is `address`'s EIP-191 signature of `message`.
+function verifyMessage(message, signature, address) {
+	return isSigner(() => recoverMessageSigner(message, signature), address);
+}
+
+// EIP-712 hash of typed data (`{domain, types, primaryType, message}`).
+// `types` may omit `EIP712Domain`, in which case it's inferred from `domain`.
+function hashTypedData(typedData) {
+	const { domain, types, primaryType, message } = typedData;
+	return ethjs.bufferToHex(ethjs.keccak256(Buffer.concat([
+		Buffer.from('1901', 'hex'),
+		ethjs.toBuffer(hashTypedDataDomain(domain, types)),
+		ethjs.toBuffer(hashStruct(
+			primaryType || getPrimaryType(types),
+			types,
+			message,
+		)),
+	])));
+}
+
+// EIP-712 domain separator.
+function hashTypedDataDomain(domain, types={}) {
+	return hashStruct(
+		'EIP712Domain',
+		{ ...types, EIP712Domain: types.EIP712Domain || getDomainFields(domain) },
+		domain,
+	);
+}
+
+// EIP-712 `hashStruct()` of `data` as a `primaryType`.
+function hashStruct(primaryType, types, data) {
+	return ethjs.bufferToHex(
+		ethjs.keccak256(encodeStruct(primaryType, types, data)),
+	);
+}
+
+// EIP-712 `encodeType()`, e.g., `Mail(Person from,Person to,string contents)Person(...)`.
+function encodeType(primaryType, types) {
+	const [primary, ...deps] = findTypeDependencies(primaryType, types);
+	return [primary, ...deps.sort()]
+		.map(t => `${t}(${types[t].map(f => `${f.type} ${f.name}`).join(',')})`)
+		.join('');
+}
+
+// The `EIP712Domain` field types for the fields present in `domain`.
+function getDomainFields(domain) {
+	return EIP712_DOMAIN_FIELDS.filter(f => !_.isNil(domain[f.name]));
+}
+
+// The only struct type that isn't referenced by another one.
+function getPrimaryType(types) {
+	const structs = _.without(Object.keys(types), 'EIP712Domain');
+	const referenced = _.flatMap(structs, t => types[t].map(f => getBaseType(f.type)));
+	const candidates = structs.filter(t => !referenced.includes(t));
+	if (candidates.length !== 1) {
+		throw new InvalidTypedDataError(
+			`cannot infer primary type from ${JSON.stringify(structs)}`,
+		);
+	}
+	return candidates[0];
+}
+
+// Recover the address that signed EIP-712 typed data.
+function recoverTypedDataSigner(typedData, signature) {
+	return recoverSigner(hashTypedData(typedData), signature);
+}
+
+// Check whether `signature` is `address`'s signature of EIP-712 typed data.
+function verifyTypedData(typedData, signature, address) {
+	return isSigner(() => recoverTypedDataSigner(typedData, signature), address);
+}
+
+function recoverSigner(hash, signature) {
+	try {
+		const { v, r, s } = ethjs.fromRpcSig(asBytes(signature));
+		const pub = ethjs.ecrecover(ethjs.toBuffer(hash), v, r, s);
+		return toChecksumAddress(ethjs.bufferToHex(ethjs.pubToAddress(pub)));
+	} catch (err) {
+		throw new InvalidSignatureError(signature);
+	}
+}
+
+function isSigner(recover, address) {
+	try {
+		return recover().toLowerCase() === asAddress(address).toLowerCase();
+	} catch (err) {
+		if (err instanceof InvalidSignatureError) {
+			return false;
+		}
+		throw err;
+	}
+}
+
+function encodeStruct(type, types, data) {
+	if (!types[type]) {
+		throw new InvalidTypedDataError(`unknown type ${JSON.stringify(type)}`);
+	}
+	if (!_.isObject(data)) {
+		throw new InvalidTypedDataError(`expected an object for ${type}`);
+	}
+	return Buffer.concat([
+		ethjs.keccak256(Buffer.from(encodeType(type, types), 'utf8')),
+		...types[type].map(f => encodeField(f.type, types, data[f.name], f.name)),
+	]);
+}
+
+function encodeField(type, types, value, name) {
+	if (_.isNil(value)) {
+		throw new InvalidTypedDataError(`missing value for ${name} (${type})`);
+	}
+	const arrayType = parseArrayType(type);
+	if (arrayType) {
+		const { itemType, size } = arrayType;
+		if (!_.isArray(value) || (!_.isNil(size) && value.length !== size)) {
+			throw new InvalidTypedDataError(`expected ${type} for ${name}`);
+		}
+		return ethjs.keccak256(Buffer.concat(
+			value.map((v, i) => encodeField(itemType, types, v, `${name}[${i}]`)),
+		));
+	}
+	if (types[type]) {
+		return ethjs.keccak256(encodeStruct(type, types, value));
+	}
+	if (type === 'string') {
+		if (!_.isString(value)) {
+			throw new InvalidTypedDataError(`expected ${type} for ${name}`);
+		}
+		return ethjs.keccak256(Buffer.from(value, 'utf8'));
+	}
+	if (type === 'bytes') {
+		return ethjs.keccak256(ethjs.toBuffer(asFieldValue(asBytes, value, type, name)));
+	}
+	if (type === 'address') {
+		return ethjs.setLengthLeft(ethjs.toBuffer(asFieldValue(asAddress, value, type, name)), 32);
+	}
+	if (type === 'bool') {
+		if (!_.isBoolean(value)) {
+			throw new InvalidTypedDataError(`expected ${type} for ${name}`);
+		}
+		return ethjs.setLengthLeft(Buffer.from([value ? 1 : 0]), 32);
+	}
+	const bytesSize = parseFixedBytesType(type);
+	if (!_.isNil(bytesSize)) {
+		const bytes = ethjs.toBuffer(asFieldValue(asBytes, value, type, name));
+		if (bytes.length > bytesSize) {
+			throw new InvalidTypedDataError(`value for ${name} is too long for ${type}`);
+		}
+		return ethjs.setLengthRight(bytes, 32);
+	}
+	const intType = parseIntegerType(type);
+	if (intType) {
+		const n = asFieldValue(toInteger, value, type, name);
+		if (!isIntegerInRange(n, intType)) {
+			throw new InvalidTypedDataError(`value for ${name} is out of range for ${type}`);
+		}
+		return n.toTwos(256).toArrayLike(Buffer, 'be', 32);
+	}
+	throw new InvalidTypedDataError(`unknown type ${JSON.stringify(type)}`);
+}
+
+// Convert a typed data field's value, blaming the field if it's the wrong
+// kind of value.
+function asFieldValue(convert, value, type, name) {
+	try {
+		return convert(value);
+	} catch (err) {
+		throw new InvalidTypedDataError(`expected ${type} for ${name}`);
+	}
+}
+
+function findTypeDependencies(type, types, found=[]) {
+	type = getBaseType(type);
+	if (found.includes(type) || !types[type]) {
+		return found;
+	}
+	found.push(type);
+	for (const field of types[type]) {
+		findTypeDependencies(field.type, types, found);
+	}
+	return found;
+}
+
+function getBaseType(type) {
+	return type.replace(/(\[[0-9]*\])+$/, '');
+}
+
+// Split an array type like `uint8[2]` into `{itemType, size}`, where `size`
+// is `undefined` for dynamic arrays. Returns `null` for other types.
+function parseArrayType(type) {
+	const m = ARRAY_TYPE_REGEX.exec(type);
+	if (!m) {
+		return null;
+	}
+	return { itemType: m[1], size: m[2] ? _.toNumber(m[2]) : undefined };
+}
+
+// The size of a fixed bytes type like `bytes32`, or `null`.
+function parseFixedBytesType(type) {
+	const m = FIXED_BYTES_TYPE_REGEX.exec(type);
+	return m ? _.toNumber(m[1]) : null;
+}
+
+// `{signed, bits}` for an integer type like `int8` or `uint`, or `null`.
+function parseIntegerType(type) {
+	const m = INTEGER_TYPE_REGEX.exec(type);
+	if (!m) {
+		return null;
+	}
+	return { signed: !m[1], bits: _.toNumber(m[2] || 256) };
+}
+
+// Whether the BN `n` fits in an integer type from `parseIntegerType()`.
+function isIntegerInRange(n, { signed, bits }) {
+	return signed
+		? n.bitLength() < bits || (n.isNeg() && n.abs().subn(1).bitLength() < bits)
+		: !n.isNeg() && n.bitLength() <= bits;
+}
+
+// Like `toBN()` but also accepts negative numbers.
+function toInteger(v) {
+	if (typeof(v) === 'bigint' || (_.isObject(v) && !_.isBuffer(v) && !ethjs.BN.isBN(v))) {
+		v = v.toString(10);
+	}
+	if (ethjs.BN.isBN(v)) {
+		return v;
+	}
+	if (typeof(v) === 'number' && Number.isSafeInteger(v)) {
+		return new ethjs.BN(v);
+	}
+	if (typeof(v) === 'string' && INTEGER_REGEX.test(v)) {
+		return new ethjs.BN(v, 10);
+	}
+	if ((typeof(v) === 'string' && HEX_REGEX.test(v)) || _.isBuffer(v)) {
+		return toBN(v);
+	}
+	throw new InvalidNumberError(v);
+}
+
 function toChecksumAddress(addr) {
 	return ethjs.toChecksumAddress(addr);
 }
 
+// Normalize an ENS name per ENSIP-15 (case folding, emoji, confusables,
+// label rules, and all). Throws an `InvalidEnsNameError` saying which label
+// is bad and why.
+function normalizeEnsName(name) {
+	if (!_.isString(name) || name.length === 0) {
+		throw new InvalidEnsNameError(name, undefined, 'not a non-empty string');
+	}
+	try {
+		return ensNormalize.ens_normalize(name);
+	} catch (err) {
+		const bad = ensNormalize.ens_split(name).find(label => label.error);
+		if (bad) {
+			throw new InvalidEnsNameError(
+				name,
+				String.fromCodePoint(...bad.input),
+				bad.error.message,
+			);
+		}
+		throw new InvalidEnsNameError(name, undefined, err.message);
+	}
+}
+
+// The EIP-137 namehash of an ENS name, after normalizing it.
+function namehash(name) {
+	let node = Buffer.alloc(32);
+	if (name === '') {
+		// The root.
+		return ethjs.bufferToHex(node);
+	}
+	const labels = normalizeEnsName(name).split('.');
+	for (const label of labels.reverse()) {
+		node = ethjs.keccak256(Buffer.concat([
+			node,
+			ethjs.keccak256(Buffer.from(label, 'utf8')),
+		]));
+	}
+	return ethjs.bufferToHex(node);
+}
+
 function isHash(v) {
 	return typeof(v) === 'string' && HASH_REGEX.test(v);
 }
@@ -141,8 +454,48 @@ class InvalidBytesError extends Error {
 	}
 };
 
+class InvalidTypedDataError extends Error {
+	constructor(reason) {
+		super(`Invalid typed data: ${reason}`);
+		this.name = this.constructor.name;
+	}
+};
+
+class InvalidSignatureError extends Error {
+	constructor(v) {
+		super(`Invalid signature: ${JSON.stringify(v)}`);
+		this.name = this.constructor.name;
+	}
+};
+
+class InvalidEnsNameError extends Error {
+	constructor(ensName, label, reason) {
+		super(_.isNil(label)
+			? `Invalid ENS name ${JSON.stringify(ensName)}: ${reason}`
+			: `Invalid ENS name ${JSON.stringify(ensName)} (label ${JSON.stringify(label)}): ${reason}`);
+		this.name = this.constructor.name;
+		this.ensName = ensName;
+		this.label = label;
+		this.reason = reason;
+	}
+};
+
 module.exports = {
 	privateKeyToAddress,
+	messageToBytes,
+	hashMessage,
+	recoverMessageSigner,
+	verifyMessage,
+	hashTypedData,
+	hashTypedDataDomain,
+	hashStruct,
+	encodeType,
+	getDomainFields,
+	getPrimaryType,
+	recoverTypedDataSigner,
+	verifyTypedData,
+	normalizeEnsName,
+	namehash,
 	isHash,
 	asHash,
 	asAddress,
@@ -153,9 +506,17 @@ module.exports = {
 	toNumber,
 	toUnsigned,
 	toBN,
+	toInteger,
+	parseArrayType,
+	parseFixedBytesType,
+	parseIntegerType,
+	isIntegerInRange,
 	InvalidAddressError,
 	InvalidHashError,
 	InvalidBlockNumberError,
 	InvalidNumberError,
-	InvalidUnsignedError
+	InvalidUnsignedError,
+	InvalidSignatureError,
+	InvalidTypedDataError,
+	InvalidEnsNameError,
 };
@@ -0,0 +1,266 @@
+'use strict'
+const _ = require('lodash');
+const crypto = require('crypto');
+const ethjs = require('ethereumjs-util');
+const promisify = require('util').promisify;
+const scryptJs = require('scrypt-js');
+const bip39 = require('ethereum-cryptography/bip39');
+const { wordlist } = require('ethereum-cryptography/bip39/wordlists/english');
+const { HDKey } = require('ethereum-cryptography/hdkey');
+
+const util = require('./util');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const KEYSTORE_CIPHER = 'aes-128-ctr';
+// Same defaults as geth.
+const DEFAULT_SCRYPT_PARAMS = { n: 262144, r: 8, p: 1 };
+const DEFAULT_PBKDF2_PARAMS = { c: 262144 };
+// BIP-44 path for ethereum accounts, minus the address index.
+const DEFAULT_HD_PATH_PREFIX = "m/44'/60'/0'/0";
+const HD_PATH_REGEX = /^m(\/[0-9]+'?)*$/;
+
+// Decrypt a Web3 Secret Storage (v3) keystore, returning the private key
+// as hex.
+async function decryptKeystore(keystore, password) {
+	if (_.isString(keystore)) {
+		try {
+			keystore = JSON.parse(keystore);
+		} catch (err) {
+			throw new InvalidKeystoreError('not valid JSON');
+		}
+	}
+	if (!_.isObject(keystore) || _.toNumber(keystore.version) !== 3) {
+		throw new InvalidKeystoreError('unsupported version');
+	}
+	const params = keystore.crypto || keystore.Crypto;
+	if (!params || params.cipher !== KEYSTORE_CIPHER) {
+		throw new InvalidKeystoreError(`unsupported cipher ${JSON.stringify((params || {}).cipher)}`);
+	}
+	const ciphertext = fromHex(params.ciphertext);
+	const derivedKey = await deriveKeystoreKey(password, params.kdf, params.kdfparams);
+	const mac = ethjs.keccak256(Buffer.concat([
+		derivedKey.slice(16, 32),
+		ciphertext,
+	]));
+	if (!mac.equals(fromHex(params.mac))) {
+		throw new KeystorePasswordError();
+	}
+	const decipher = crypto.createDecipheriv(
+		KEYSTORE_CIPHER,
+		derivedKey.slice(0, 16),
+		fromHex(params.cipherparams.iv),
+	);
+	const key = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+	if (keystore.address &&
+			util.privateKeyToAddress(key).toLowerCase() !==
+			ethjs.addHexPrefix(keystore.address).toLowerCase()) {
+		throw new InvalidKeystoreError('address does not match key');
+	}
+	return ethjs.bufferToHex(key);
+}
+
+// Encrypt a private key into a new Web3 Secret Storage (v3) keystore object.
+async function encryptKeystore(key, password, opts={}) {
+	key = ethjs.toBuffer(key);
+	const kdf = opts.kdf || 'scrypt';
+	const salt = opts.salt ? ethjs.toBuffer(opts.salt) : crypto.randomBytes(32);
+	const iv = opts.iv ? ethjs.toBuffer(opts.iv) : crypto.randomBytes(16);
+	let kdfparams;
+	if (kdf === 'scrypt') {
+		kdfparams = {
+			dklen: 32,
+			..._.defaults(_.pick(opts, ['n', 'r', 'p']), DEFAULT_SCRYPT_PARAMS),
+			salt: salt.toString('hex'),
+		};
+	} else if (kdf === 'pbkdf2') {
+		kdfparams = {
+			dklen: 32,
+			..._.defaults(_.pick(opts, ['c']), DEFAULT_PBKDF2_PARAMS),
+			prf: 'hmac-sha256',
+			salt: salt.toString('hex'),
+		};
+	} else {
+		throw new InvalidKeystoreError(`unsupported kdf ${JSON.stringify(kdf)}`);
+	}
+	const derivedKey = await deriveKeystoreKey(password, kdf, kdfparams);
+	const cipher = crypto.createCipheriv(KEYSTORE_CIPHER, derivedKey.slice(0, 16), iv);
+	const ciphertext = Buffer.concat([cipher.update(key), cipher.final()]);
+	const mac = ethjs.keccak256(Buffer.concat([
+		derivedKey.slice(16, 32),
+		ciphertext,
+	]));
+	return {
+		version: 3,
+		id: opts.uuid || createUuid(),
+		address: util.privateKeyToAddress(key).slice(2).toLowerCase(),
+		crypto: {
+			ciphertext: ciphertext.toString('hex'),
+			cipherparams: { iv: iv.toString('hex') },
+			cipher: KEYSTORE_CIPHER,
+			kdf,
+			kdfparams,
+			mac: mac.toString('hex'),
+		},
+	};
+}
+
+async function deriveKeystoreKey(password, kdf, kdfparams) {
+	if (!_.isObject(kdfparams)) {
+		throw new InvalidKeystoreError('missing kdfparams');
+	}
+	password = normalizePassword(password);
+	const salt = fromHex(kdfparams.salt);
+	const dklen = kdfparams.dklen;
+	if (kdf === 'scrypt') {
+		const { n, r, p } = kdfparams;
+		// Node's scrypt is much faster but, unlike geth, refuses an `n` of
+		// 2^(16 * r) or more, which some keystores use (e.g., n=262144, r=1).
+		if (n < 2 ** (16 * r)) {
+			return scrypt(password, salt, dklen, {
+				N: n,
+				r,
+				p,
+				// The default memory cap is too low for the usual params.
+				maxmem: 256 * n * r + 1024 * 1024,
+			});
+		}
+		return Buffer.from(await scryptJs.scrypt(password, salt, n, r, p, dklen));
+	}
+	if (kdf === 'pbkdf2') {
+		if (kdfparams.prf !== 'hmac-sha256') {
+			throw new InvalidKeystoreError(`unsupported prf ${JSON.stringify(kdfparams.prf)}`);
+		}
+		return pbkdf2(password, salt, kdfparams.c, dklen, 'sha256');
+	}
+	throw new InvalidKeystoreError(`unsupported kdf ${JSON.stringify(kdf)}`);
+}
+
+// Generate a new random BIP-39 mnemonic. `strength` is the entropy in bits.
+function generateMnemonic(strength=128) {
+	return bip39.generateMnemonic(wordlist, strength);
+}
+
+// Check that a BIP-39 mnemonic has only known words and a valid checksum.
+function validateMnemonic(mnemonic) {
+	return bip39.validateMnemonic(normalizeMnemonic(mnemonic), wordlist);
+}
+
+// Derive an account from a BIP-39 mnemonic, returning `{path, key, address}`.
+// `opts` can hold a `passphrase` and either a full derivation `path` or just
+// the address `index` on the default path (m/44'/60'/0'/0/index).
+async function mnemonicToAccount(mnemonic, opts={}) {
+	const root = await mnemonicToHDKey(mnemonic, opts.passphrase);
+	return deriveAccount(root, opts.path || hdPath(opts.index || 0));
+}
+
+// Derive `count` consecutive accounts from a BIP-39 mnemonic, starting at
+// `opts.index` (default 0) under `opts.pathPrefix` (default m/44'/60'/0'/0).
+async function mnemonicToAccounts(mnemonic, count, opts={}) {
+	const root = await mnemonicToHDKey(mnemonic, opts.passphrase);
+	const start = opts.index || 0;
+	return _.times(count, i =>
+		deriveAccount(root, hdPath(start + i, opts.pathPrefix)));
+}
+
+async function mnemonicToHDKey(mnemonic, passphrase='') {
+	mnemonic = normalizeMnemonic(mnemonic);
+	if (!bip39.validateMnemonic(mnemonic, wordlist)) {
+		throw new InvalidMnemonicError();
+	}
+	return HDKey.fromMasterSeed(await bip39.mnemonicToSeed(mnemonic, passphrase));
+}
+
+function deriveAccount(root, path) {
+	if (!HD_PATH_REGEX.test(path)) {
+		throw new InvalidHDPathError(path);
+	}
+	const key = ethjs.bufferToHex(Buffer.from(root.derive(path).privateKey));
+	return {
+		path,
+		key,
+		address: util.privateKeyToAddress(key),
+	};
+}
+
+function hdPath(index, prefix=DEFAULT_HD_PATH_PREFIX) {
+	return `${prefix}/${index}`;
+}
+
+function normalizeMnemonic(mnemonic) {
+	if (!_.isString(mnemonic)) {
+		throw new InvalidMnemonicError();
+	}
+	return mnemonic.normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+function normalizePassword(password) {
+	if (_.isString(password)) {
+		return Buffer.from(password.normalize('NFKC'), 'utf8');
+	}
+	if (_.isBuffer(password)) {
+		return password;
+	}
+	throw new TypeError('Keystore password must be a string or Buffer.');
+}
+
+function fromHex(v) {
+	return Buffer.from(ethjs.stripHexPrefix(v || ''), 'hex');
+}
+
+function createUuid() {
+	const b = crypto.randomBytes(16);
+	// Version 4, variant 1.
+	b[6] = (b[6] & 0x0f) | 0x40;
+	b[8] = (b[8] & 0x3f) | 0x80;
+	const hex = b.toString('hex');
+	return [
+		hex.slice(0, 8),
+		hex.slice(8, 12),
+		hex.slice(12, 16),
+		hex.slice(16, 20),
+		hex.slice(20),
+	].join('-');
+}
+
+class InvalidKeystoreError extends Error {
+	constructor(reason) {
+		super(`Invalid keystore: ${reason}`);
+		this.name = this.constructor.name;
+	}
+};
+
+class InvalidMnemonicError extends Error {
+	constructor() {
+		super('Invalid mnemonic (unknown words or bad checksum)');
+		this.name = this.constructor.name;
+	}
+};
+
+class InvalidHDPathError extends Error {
+	constructor(path) {
+		super(`Invalid HD derivation path: ${JSON.stringify(path)}`);
+		this.name = this.constructor.name;
+	}
+};
+
+class KeystorePasswordError extends Error {
+	constructor() {
+		super('Keystore MAC mismatch (wrong password?)');
+		this.name = this.constructor.name;
+	}
+};
+
+module.exports = {
+	decryptKeystore,
+	encryptKeystore,
+	generateMnemonic,
+	validateMnemonic,
+	mnemonicToAccount,
+	mnemonicToAccounts,
+	InvalidKeystoreError,
+	KeystorePasswordError,
+	InvalidMnemonicError,
+	InvalidHDPathError,
+};
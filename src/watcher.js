@@ -0,0 +1,133 @@
+'use strict'
+const _ = require('lodash');
+
+// Base for things that follow the chain (see `LogWatcher` and
+// `BlockWatcher`). Passes each item to a handler, or queues it up for
+// async iteration if there's no handler.
+module.exports = class Watcher {
+	constructor(inst, handler, opts={}) {
+		// How we're following the chain. Set once `ready` resolves.
+		this.mode = null;
+		this.ready = null;
+		this._inst = inst;
+		this._handler = handler;
+		this._onError = opts.onError;
+		this._pollInterval = _.isNumber(opts.pollInterval) ?
+			opts.pollInterval : inst.pollInterval;
+		this._stopped = false;
+		this._timer = null;
+		this._queue = [];
+		this._waiters = [];
+		// The error that stopped the watcher, if any.
+		this.error = null;
+	}
+
+	async unsubscribe() {
+		if (this._stopped) {
+			return;
+		}
+		this._stopped = true;
+		clearTimeout(this._timer);
+		for (const { accept } of this._waiters.splice(0, this._waiters.length)) {
+			accept({ done: true, value: undefined });
+		}
+		try {
+			// Clean up after `_start()`, even if it's still going.
+			await this.ready;
+			await this._cleanup();
+		} catch (err) {
+			// Nothing to clean up or the node already forgot about it.
+		}
+	}
+
+	[Symbol.asyncIterator]() {
+		return {
+			next: () => {
+				if (this._queue.length) {
+					return Promise.resolve({ done: false, value: this._queue.shift() });
+				}
+				if (this.error) {
+					return Promise.reject(this.error);
+				}
+				if (this._stopped) {
+					return Promise.resolve({ done: true, value: undefined });
+				}
+				return new Promise((accept, reject) => {
+					this._waiters.push({ accept, reject });
+				});
+			},
+			return: async () => {
+				await this.unsubscribe();
+				return { done: true, value: undefined };
+			},
+		};
+	}
+
+	// Subclasses call this with the result of `_start()` once they're
+	// set up.
+	_init(ready) {
+		this.ready = ready.catch(err => {
+			// Nothing to retry if we couldn't even get started.
+			this._fail(err);
+			this.unsubscribe();
+			throw err;
+		});
+		// Already reported through `_fail()`.
+		this.ready.catch(_.noop);
+	}
+
+	async _cleanup() {}
+
+	async _poll() {}
+
+	_schedule() {
+		if (!this._stopped) {
+			this._timer = setTimeout(async () => {
+				try {
+					await this._poll();
+				} catch (err) {
+					this._fail(err);
+				}
+				this._schedule();
+			}, this._pollInterval);
+		}
+	}
+
+	_emit(item) {
+		if (this._stopped) {
+			return;
+		}
+		if (this._handler) {
+			try {
+				const r = this._handler(item);
+				if (r && _.isFunction(r.then)) {
+					r.then(null, err => this._fail(err));
+				}
+			} catch (err) {
+				this._fail(err);
+			}
+		} else if (this._waiters.length) {
+			this._waiters.shift().accept({ done: false, value: item });
+		} else {
+			this._queue.push(item);
+		}
+	}
+
+	// Every error (setting up, polling, or thrown by the handler) ends up
+	// here. They go to the `onError` handler if there is one, and we keep
+	// going. Otherwise the first one stops the watcher: it's left in
+	// `error` and iterators throw it.
+	_fail(err) {
+		if (this._stopped) {
+			return;
+		}
+		if (this._onError) {
+			return this._onError(err);
+		}
+		this.error = err;
+		for (const { reject } of this._waiters.splice(0, this._waiters.length)) {
+			reject(err);
+		}
+		this.unsubscribe();
+	}
+}
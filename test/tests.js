@@ -1,10 +1,14 @@
 'use strict'
 const ganache = require('ganache-cli');
 const FlexEther = require('../src/index');
+const RpcClient = require('../src/rpc-client');
+const multicall = require('../src/multicall');
 const promisify = require('util').promisify;
 const assert = require('assert');
 const crypto = require('crypto');
 const ethjs = require('ethereumjs-util');
+const ethjsTx = require('@ethereumjs/tx');
+const ethjscom = require('@ethereumjs/common').default;
 
 describe('flex-contract', function() {
 	let _ganache = null;
@@ -129,6 +133,708 @@ describe('flex-contract', function() {
 		assert.ok(await eth.getBalance(from) != prevBalance);
 	});
 
+	it('can send concurrent transactions with key', async function() {
+		const eth = new FlexEther({provider: provider});
+		const from = accounts[3].address;
+		const key = accounts[3].secretKey;
+		const nonce = await eth.getTransactionCount(from);
+		const receipts = await Promise.all(_.times(4, () =>
+			eth.transfer(randomAddress(), _.random(1, 100), {key: key})));
+		const txs = await Promise.all(receipts.map(r =>
+			eth.getTransaction(r.transactionHash)));
+		assert.deepEqual(_.sortBy(txs.map(tx => tx.nonce)), _.range(nonce, nonce + 4));
+		assert.equal(await eth.getTransactionCount(from), nonce + 4);
+	});
+
+	it('reuses a nonce released by a failed send', async function() {
+		const eth = new FlexEther({provider: provider});
+		const from = accounts[3].address;
+		const key = accounts[3].secretKey;
+		const nonce = await eth.nonces.resync(from);
+		// Not enough funds.
+		await assert.rejects(eth.transfer(randomAddress(), 1000 + _.repeat('0', 18),
+			{key: key, gas: 21000}));
+		assert.equal(eth.nonces.peek(from).next, nonce);
+		const receipt = await eth.transfer(randomAddress(), 100, {key: key});
+		const tx = await eth.getTransaction(receipt.transactionHash);
+		assert.equal(tx.nonce, nonce);
+	});
+
+	it('does not reuse a nonce that may have been broadcast', async function() {
+		const lossy = {
+			sendAsync(payload, cb) {
+				if (payload.method === 'eth_sendRawTransaction') {
+					// It goes out, but we never hear back.
+					return provider.sendAsync(payload, () => cb(new Error('socket hang up')));
+				}
+				return provider.sendAsync(payload, cb);
+			},
+		};
+		const from = accounts[3].address;
+		const key = accounts[3].secretKey;
+		const nonce = await new FlexEther({provider}).getTransactionCount(from, 'pending');
+		const eth = new FlexEther({provider: lossy});
+		await assert.rejects(eth.transfer(randomAddress(), 100, {key}), /socket hang up/);
+		assert.equal(await eth.getTransactionCount(from, 'pending'), nonce + 1);
+		assert.equal(eth.nonces.peek(from).next, nonce + 1);
+	});
+
+	it('lets the provider pick the nonce for transactions it signs', async function() {
+		const eth = new FlexEther({provider: provider});
+		const from = accounts[0].address;
+		const nonce = await eth.getTransactionCount(from, 'pending');
+		const receipt = await eth.transfer(randomAddress(), 100, {from});
+		assert.equal((await eth.getTransaction(receipt.transactionHash)).nonce, nonce);
+		assert.strictEqual(eth.nonces.peek(from), undefined);
+	});
+
+	it('can speed up a transaction', async function() {
+		const mempool = createMempoolProvider(provider);
+		const eth = new FlexEther({provider: mempool});
+		const key = accounts[4].secretKey;
+		const to = randomAddress();
+		const tx = eth.transfer(to, 100, {key: key});
+		const txHash = await tx.txId;
+		const newTxHash = await tx.speedUp({gasPriceBonus: 0.25});
+		assert.notEqual(newTxHash, txHash);
+		const [orig, replacement] = mempool.pending.map(raw => ethjsTx.Transaction.fromSerializedTx(ethjs.toBuffer(raw)));
+		assert.equal(replacement.nonce.toString(), orig.nonce.toString());
+		assert.equal(replacement.gasPrice.toString(), orig.gasPrice.muln(125).divn(100).toString());
+		await mempool.mine(1);
+		const receipt = await tx;
+		assert.equal(receipt.transactionHash, newTxHash);
+		assert.equal(await eth.getBalance(to), 100);
+	});
+
+	it('can cancel a transaction', async function() {
+		const mempool = createMempoolProvider(provider);
+		const eth = new FlexEther({provider: mempool});
+		const key = accounts[4].secretKey;
+		const to = randomAddress();
+		const tx = eth.transfer(to, 100, {key: key});
+		const newTxHash = await tx.cancel();
+		const [orig, replacement] = mempool.pending.map(raw => ethjsTx.Transaction.fromSerializedTx(ethjs.toBuffer(raw)));
+		assert.equal(replacement.nonce.toString(), orig.nonce.toString());
+		assert.equal(replacement.to.toString(), accounts[4].address.toLowerCase());
+		assert.equal(replacement.value.toString(), '0');
+		assert.ok(replacement.gasPrice.gte(orig.gasPrice.muln(110).divn(100)));
+		await mempool.mine(1);
+		const receipt = await tx;
+		assert.equal(receipt.transactionHash, newTxHash);
+		assert.equal(await eth.getBalance(to), 0);
+	});
+
+	it('times out waiting for confirmations', async function() {
+		const mempool = createMempoolProvider(provider);
+		const eth = new FlexEther({provider: mempool, droppedTimeout: 1000});
+		const tx = eth.transfer(randomAddress(), 100, {key: accounts[5].secretKey});
+		// It never gets mined.
+		tx.catch(_.noop);
+		await assert.rejects(
+			tx.confirmed(0, {timeout: 100, droppedTimeout: 60000}),
+			FlexEther.TransactionTimeoutError,
+		);
+	});
+
+	it('can abort waiting for confirmations', async function() {
+		if (typeof AbortController === 'undefined') {
+			// Callers bring their own signal.
+			this.skip();
+		}
+		const mempool = createMempoolProvider(provider);
+		const eth = new FlexEther({provider: mempool, droppedTimeout: 1000});
+		const tx = eth.transfer(randomAddress(), 100, {key: accounts[5].secretKey});
+		// It never gets mined.
+		tx.catch(_.noop);
+		const controller = new AbortController();
+		const confirmed = tx.confirmed(0, {signal: controller.signal});
+		setTimeout(() => controller.abort(), 100);
+		await assert.rejects(confirmed, err => err.name === 'AbortError');
+	});
+
+	it('rejects with TransactionDroppedError for dropped transactions', async function() {
+		const mempool = createMempoolProvider(provider);
+		const eth = new FlexEther({provider: mempool, droppedTimeout: 0});
+		const tx = eth.transfer(randomAddress(), 100, {key: accounts[5].secretKey});
+		await assert.rejects(tx, FlexEther.TransactionDroppedError);
+	});
+
+	it('only reports a failed send through the hash if it is waited on', async function() {
+		const eth = new FlexEther({provider: provider});
+		// Nothing to pay for gas with.
+		const tx = eth.transfer(randomAddress(), 100, {key: crypto.randomBytes(32)});
+		await assert.rejects(tx.txId);
+		// Would be an uncaught rejection of the receipt.
+		await new Promise(accept => setTimeout(accept, 100));
+	});
+
+	it('rejects with TransactionReplacedError for replaced transactions', async function() {
+		const mempool = createMempoolProvider(provider);
+		const eth = new FlexEther({provider: mempool, droppedTimeout: 60000});
+		const key = accounts[5].secretKey;
+		const tx = eth.transfer(randomAddress(), 100, {key: key});
+		await tx.txId;
+		const { nonce } = eth.nonces.peek(accounts[5].address);
+		const rejected = assert.rejects(tx, FlexEther.TransactionReplacedError);
+		// Mine a different transaction with the same nonce.
+		await new FlexEther({provider: provider})
+			.transfer(randomAddress(), 100, {key: key, nonce: nonce - 1});
+		await rejected;
+	});
+
+	it('emits transaction events', async function() {
+		const eth = new FlexEther({provider: provider, confirmationInterval: 50});
+		const tx = eth.transfer(randomAddress(), 100);
+		const events = [];
+		const confirmed = new Promise(accept => {
+			tx.on('hash', h => events.push(['hash', h]))
+				.on('receipt', r => events.push(['receipt', r.transactionHash]))
+				.on('confirmation', (n, r) => {
+					events.push(['confirmation', n]);
+					if (n >= 2) {
+						accept();
+					}
+				});
+		});
+		const receipt = await tx;
+		for (let i = 0; i < 2; i++) {
+			await eth.transfer(randomAddress(), _.random(1, 100));
+		}
+		await confirmed;
+		tx.removeAllListeners();
+		assert.deepEqual(events.slice(0, 3), [
+			['hash', receipt.transactionHash],
+			['receipt', receipt.transactionHash],
+			['confirmation', 0],
+		]);
+		assert.deepEqual(_.last(events), ['confirmation', 2]);
+	});
+
+	it('emits reorg events', async function() {
+		const mempool = createMempoolProvider(provider);
+		const eth = new FlexEther({provider: mempool, confirmationInterval: 50});
+		const tx = eth.transfer(randomAddress(), 100, {key: accounts[6].secretKey});
+		await tx.txId;
+		const raw = mempool.pending[0];
+		const snapshot = await eth.rpc._send('evm_snapshot');
+		await mempool.mine(0);
+		const oldReceipt = await tx;
+		const reorged = new Promise(accept => tx.once('reorg', (...args) => accept(args)));
+		// Orphan the block.
+		await eth.rpc._send('evm_revert', [snapshot]);
+		const [o, n] = await reorged;
+		assert.equal(o.blockHash, oldReceipt.blockHash);
+		assert.equal(n, null);
+		// Mine the transaction again in a later block.
+		const remined = new Promise(accept => tx.once('receipt', accept));
+		await eth.rpc._send('evm_mine');
+		mempool.pending.push(raw);
+		await mempool.mine(0);
+		const newReceipt = await tx.confirmed(0);
+		assert.equal((await remined).transactionHash, oldReceipt.transactionHash);
+		assert.notEqual(newReceipt.blockHash, oldReceipt.blockHash);
+	});
+
+	it('can batch calls made in the same tick', async function() {
+		const counter = createCountingProvider(provider);
+		const eth = new FlexEther({provider: counter, batch: true});
+		const addrs = accounts.slice(0, 3).map(a => a.address);
+		const balances = await Promise.all(addrs.map(a => eth.getBalance(a)));
+		assert.equal(counter.payloads.length, 1);
+		assert.equal(counter.payloads[0].length, 3);
+		assert.deepEqual(balances, await Promise.all(addrs.map(a => new FlexEther({provider}).getBalance(a))));
+	});
+
+	it('can batch calls explicitly', async function() {
+		const counter = createCountingProvider(provider);
+		const eth = new FlexEther({provider: counter});
+		const [blockNumber, gasPrice] = await eth.rpc.batch(async rpc => Promise.all([
+			rpc.getBlockNumber(),
+			rpc.getGasPrice(),
+		]));
+		assert.equal(counter.payloads.length, 1);
+		assert.equal(counter.payloads[0].length, 2);
+		assert.equal(blockNumber, await eth.getBlockNumber());
+		assert.ok(gasPrice);
+	});
+
+	it('rejects individual calls in a batch', async function() {
+		const rpc = new RpcClient({
+			sendAsync(payloads, cb) {
+				// Respond out of order, with an error for the second call.
+				cb(null, [
+					{ jsonrpc: '2.0', id: payloads[1].id, error: { message: 'nope' } },
+					{ jsonrpc: '2.0', id: payloads[0].id, result: '0x10' },
+				]);
+			},
+		});
+		const [blockNumber, err] = await rpc.batch(async rpc => Promise.all([
+			rpc.getBlockNumber(),
+			rpc.getGasPrice().catch(err => err),
+		]));
+		assert.equal(blockNumber, 16);
+		assert.ok(err instanceof RpcClient.RpcError);
+		assert.ok(/nope/.test(err.message));
+	});
+
+	it('only treats call errors that mention a revert as reverts', async function() {
+		const data = {reason: 'replacement transaction underpriced'};
+		const rpc = new RpcClient({
+			sendAsync(payload, cb) {
+				cb(null, { jsonrpc: '2.0', id: payload.id,
+					error: { code: -32000, message: 'execution reverted', data } });
+			},
+		});
+		await assert.rejects(rpc.call({to: randomAddress()}), RpcClient.CallRevertedError);
+		const err = await rpc.sendRawTransaction('0x1234').catch(err => err);
+		assert.ok(!(err instanceof RpcClient.CallRevertedError));
+		assert.ok(err instanceof RpcClient.RpcError);
+		assert.deepEqual(err.errorReturnData, data);
+	});
+
+	it('retries rate-limited requests', async function() {
+		let failures = 0;
+		const flaky = {
+			sendAsync(payload, cb) {
+				if (failures++ < 2) {
+					return cb(null, { jsonrpc: '2.0', id: payload.id,
+						error: { code: -32005, message: 'rate limited' } });
+				}
+				return provider.sendAsync(payload, cb);
+			},
+		};
+		const eth = new FlexEther({provider: flaky, retry: {minDelay: 1}});
+		assert.equal(await eth.getBalance(accounts[0].address), await new FlexEther({provider}).getBalance(accounts[0].address));
+		assert.equal(failures, 3);
+	});
+
+	it('does not retry other errors', async function() {
+		let calls = 0;
+		const broken = {
+			sendAsync(payload, cb) {
+				calls++;
+				cb(null, { jsonrpc: '2.0', id: payload.id,
+					error: { code: -32000, message: 'execution reverted' } });
+			},
+		};
+		const eth = new FlexEther({provider: broken, retry: {minDelay: 1}});
+		await assert.rejects(eth.getBlockNumber(), RpcClient.RpcError);
+		assert.equal(calls, 1);
+	});
+
+	it('can fail over to another provider', async function() {
+		let calls = 0;
+		const dead = {
+			sendAsync(payload, cb) {
+				calls++;
+				const err = new Error('connect ECONNREFUSED 127.0.0.1:8545');
+				err.code = 'ECONNREFUSED';
+				cb(err);
+			},
+		};
+		const eth = new FlexEther({providers: [dead, provider], retry: {minDelay: 1}});
+		const to = randomAddress();
+		await eth.transfer(to, 100, {key: accounts[7].secretKey});
+		assert.equal(await eth.getBalance(to), 100);
+		assert.ok(calls > 0);
+		// The dead provider should be skipped while it cools down.
+		const prevCalls = calls;
+		await eth.getBlockNumber();
+		assert.equal(calls, prevCalls);
+	});
+
+	it('can require a quorum for reads', async function() {
+		const liar = {
+			sendAsync(payload, cb) {
+				if (payload.method === 'eth_getBalance') {
+					return cb(null, { jsonrpc: '2.0', id: payload.id, result: '0x1337' });
+				}
+				return provider.sendAsync(payload, cb);
+			},
+		};
+		const addr = accounts[0].address;
+		const block = await new FlexEther({provider}).getBlockNumber();
+		const expected = await new FlexEther({provider}).getBalance(addr, block);
+		let eth = new FlexEther({providers: [liar, provider, provider], quorum: 2});
+		assert.equal(await eth.getBalance(addr, block), expected);
+		eth = new FlexEther({providers: [liar, provider, provider], quorum: 3});
+		await assert.rejects(eth.getBalance(addr, block), FlexEther.FallbackProvider.QuorumNotReachedError);
+	});
+
+	it('requires a quorum for logs by block hash', async function() {
+		const liar = {
+			sendAsync(payload, cb) {
+				if (payload.method === 'eth_getLogs') {
+					return cb(null, { jsonrpc: '2.0', id: payload.id, result: [] });
+				}
+				return provider.sendAsync(payload, cb);
+			},
+		};
+		const event = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+		const logger = await deployLogger(new FlexEther({provider}));
+		const receipt = await emitLog(new FlexEther({provider}), logger, event,
+			[randomAddress(), randomAddress(), 1]);
+		const filter = {address: logger, event, blockhash: receipt.blockHash};
+		let eth = new FlexEther({providers: [liar, provider, provider], quorum: 2});
+		assert.equal((await eth.getPastLogs(filter)).length, 1);
+		eth = new FlexEther({providers: [liar, provider, provider], quorum: 3});
+		await assert.rejects(eth.getPastLogs(filter), FlexEther.FallbackProvider.QuorumNotReachedError);
+	});
+
+	it('does not require a quorum for reads that are not pinned to a block', async function() {
+		const {util} = FlexEther;
+		// A healthy provider that's a block ahead and quotes a different fee.
+		const ahead = {
+			sendAsync(payload, cb) {
+				if (payload.method === 'eth_blockNumber' || payload.method === 'eth_gasPrice') {
+					return provider.sendAsync(payload, (err, res) => {
+						cb(err, res && {...res, result: util.toHex(util.toNumber(res.result) + 1)});
+					});
+				}
+				return provider.sendAsync(payload, cb);
+			},
+		};
+		const expected = await new FlexEther({provider}).getBlockNumber();
+		const eth = new FlexEther({providers: [ahead, provider], quorum: 2});
+		assert.equal(await eth.getBlockNumber(), expected + 1);
+		assert.ok(await eth.getGasPrice());
+		const to = randomAddress();
+		await eth.transfer(to, 100, {key: accounts[7].secretKey});
+		assert.equal(await eth.getBalance(to), 100);
+	});
+
+	it('sends filter requests to the provider that created the filter', async function() {
+		let hiccups = 0;
+		const flaky = {
+			sendAsync(payload, cb) {
+				if (payload.method === 'eth_getFilterChanges' && hiccups++ < 1) {
+					return cb(null, { jsonrpc: '2.0', id: payload.id,
+						error: { code: -32005, message: 'rate limited' } });
+				}
+				return provider.sendAsync(payload, cb);
+			},
+		};
+		const other = createCountingProvider(provider);
+		const eth = new FlexEther({providers: [flaky, other], retry: {minDelay: 1}});
+		const filterId = await eth.rpc.newFilter({});
+		assert.deepEqual(await eth.rpc.getFilterChanges(filterId), []);
+		await eth.rpc.uninstallFilter(filterId);
+		assert.equal(hiccups, 2);
+		assert.equal(other.payloads.filter(p => /Filter/.test(p.method)).length, 0);
+	});
+
+	it('can add request middleware', async function() {
+		const methods = [];
+		const eth = new FlexEther({
+			provider: provider,
+			middleware: [
+				async (req, next) => {
+					methods.push(req.method);
+					return next();
+				},
+			],
+		});
+		eth.rpc.use(async (req, next) => {
+			// Short-circuit.
+			if (req.method === 'eth_gasPrice') {
+				return '0x1234';
+			}
+			// Rewrite the request.
+			if (req.method === 'eth_getBalance') {
+				return next({ ...req, params: [accounts[0].address, req.params[1]] });
+			}
+			// Transform the response.
+			if (req.method === 'eth_blockNumber') {
+				return '0x' + (parseInt(await next(), 16) + 1000).toString(16);
+			}
+			return next();
+		});
+		assert.equal(await eth.getGasPrice(), '4660');
+		assert.equal(await eth.getBalance(randomAddress()), await new FlexEther({provider}).getBalance(accounts[0].address));
+		assert.equal(await eth.getBlockNumber(), await new FlexEther({provider}).getBlockNumber() + 1000);
+		assert.deepEqual(methods, ['eth_gasPrice', 'eth_getBalance', 'eth_blockNumber']);
+	});
+
+	it('can transform errors in middleware', async function() {
+		const eth = new FlexEther({provider: provider});
+		eth.rpc.use(async (req, next) => {
+			try {
+				return await next();
+			} catch (err) {
+				throw new Error(`wrapped: ${err.message}`);
+			}
+		});
+		await assert.rejects(eth.rpc._send('eth_bogusMethod'), /^Error: wrapped: /);
+	});
+
+	it('can send ether with a custom signer', async function() {
+		const eth = new FlexEther({provider: provider});
+		const signer = new MockRemoteSigner(accounts[8].secretKey);
+		const to = randomAddress();
+		await eth.transfer(to, 100, {signer: signer});
+		assert.equal(await eth.getBalance(to), 100);
+		assert.equal(signer.signed.length, 1);
+		assert.equal(signer.signed[0].to, to);
+	});
+
+	it('can send ether with a default signer', async function() {
+		const signer = new MockRemoteSigner(accounts[8].secretKey);
+		const eth = new FlexEther({provider: provider, signer: signer});
+		const prevBalance = await eth.getBalance(accounts[8].address);
+		const to = randomAddress();
+		await eth.transfer(to, 100);
+		assert.equal(await eth.getBalance(to), 100);
+		assert.equal(signer.signed.length, 1);
+		assert.ok(await eth.getBalance(accounts[8].address) != prevBalance);
+	});
+
+	it('can sign typed transactions with a provider signer', async function() {
+		const {secretKey, address} = accounts[8];
+		const common = new ethjscom({chain: 'mainnet', hardfork: 'london'});
+		// A node that signs whatever it's asked to.
+		const rpc = new RpcClient({
+			sendAsync(payload, cb) {
+				const [tx] = payload.params;
+				const raw = ethjsTx.TransactionFactory
+					.fromTxData({...tx, gasLimit: tx.gas}, {common})
+					.sign(secretKey)
+					.serialize();
+				cb(null, {jsonrpc: '2.0', id: payload.id, result: ethjs.bufferToHex(raw)});
+			},
+		});
+		const signer = new FlexEther.ProviderSigner(rpc, address);
+		const raw = await signer.signTransaction({
+			to: randomAddress(),
+			value: 100,
+			gas: 21000,
+			nonce: 0,
+			chainId: 1,
+			type: 2,
+			maxFeePerGas: 2e9,
+			maxPriorityFeePerGas: 1e9,
+		});
+		const tx = ethjsTx.TransactionFactory.fromSerializedData(ethjs.toBuffer(raw), {common});
+		assert.equal(tx.type, 2);
+		assert.equal(tx.maxFeePerGas.toString(10), '2000000000');
+		assert.equal(tx.getSenderAddress().toString(), address.toLowerCase());
+	});
+
+	it('can sign messages with a key signer', async function() {
+		const signer = new FlexEther.KeySigner(accounts[8].secretKey);
+		assert.equal(await signer.getAddress(), accounts[8].address);
+		const sig = ethjs.fromRpcSig(await signer.signMessage('hello'));
+		const hash = ethjs.hashPersonalMessage(Buffer.from('hello'));
+		const signerAddress = ethjs.bufferToHex(ethjs.pubToAddress(ethjs.ecrecover(hash, sig.v, sig.r, sig.s)));
+		assert.equal(ethjs.toChecksumAddress(signerAddress), accounts[8].address);
+	});
+
+	it('can sign and verify messages', async function() {
+		const eth = new FlexEther({provider: provider});
+		const message = `hello ${randomHex(8)}`;
+		let sig = await eth.signMessage(message, {key: accounts[8].secretKey});
+		assert.equal(FlexEther.util.recoverMessageSigner(message, sig), accounts[8].address);
+		assert.ok(FlexEther.util.verifyMessage(message, sig, accounts[8].address));
+		assert.ok(!FlexEther.util.verifyMessage(message + '!', sig, accounts[8].address));
+		assert.ok(!FlexEther.util.verifyMessage(message, '0x1234', accounts[8].address));
+		// Through the provider.
+		sig = await eth.signMessage(message, {from: accounts[1].address});
+		assert.equal(FlexEther.util.recoverMessageSigner(message, sig), accounts[1].address);
+		sig = await eth.signMessage(Buffer.from(message));
+		assert.equal(FlexEther.util.recoverMessageSigner(message, sig), accounts[0].address);
+	});
+
+	it('can hash EIP-712 typed data', async function() {
+		// Example from the EIP-712 spec.
+		const {domain, types, message} = createMailTypedData();
+		assert.equal(
+			FlexEther.util.encodeType('Mail', types),
+			'Mail(Person from,Person to,string contents)Person(string name,address wallet)',
+		);
+		assert.equal(
+			FlexEther.util.hashTypedDataDomain(domain),
+			'0xf2cee375fa42b42143804025fc449deafd50cc031ca257e0b194a650a912090f',
+		);
+		assert.equal(
+			FlexEther.util.hashStruct('Mail', types, message),
+			'0xc52c0ee5d84264471806290a3f2c4cecfc5490626bf912d01f240d7a274b371e',
+		);
+		assert.equal(
+			FlexEther.util.hashTypedData({domain, types, message}),
+			'0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2',
+		);
+	});
+
+	it('can hash EIP-712 typed data with arrays and dynamic types', async function() {
+		const domain = {name: 'X', chainId: 5, salt: '0x' + '11'.repeat(32)};
+		const types = {
+			Order: [
+				{name: 'maker', type: 'address'},
+				{name: 'items', type: 'Item[]'},
+				{name: 'tags', type: 'string[2]'},
+				{name: 'data', type: 'bytes'},
+				{name: 'nonce', type: 'int64'},
+				{name: 'ok', type: 'bool'},
+				{name: 'id', type: 'bytes4'},
+				{name: 'grid', type: 'uint8[][]'},
+			],
+			Item: [
+				{name: 'token', type: 'address'},
+				{name: 'amount', type: 'uint256'},
+			],
+		};
+		const message = {
+			maker: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826',
+			items: [
+				{token: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB', amount: '1000000000000000000'},
+				{token: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB', amount: 5},
+			],
+			tags: ['a', 'b'],
+			data: '0xdeadbeef',
+			nonce: -42,
+			ok: true,
+			id: '0x12345678',
+			grid: [[1, 2], [3]],
+		};
+		// Cross-checked against ethers.
+		assert.equal(
+			FlexEther.util.hashTypedData({domain, types, message}),
+			'0x33eff07ae4762fd940c2b9e9778e66c3cd45169068b7481a0350b8d27a2d4b39',
+		);
+		assert.throws(
+			() => FlexEther.util.hashTypedData({domain, types, message: {...message, tags: ['a']}}),
+			FlexEther.util.InvalidTypedDataError,
+		);
+		assert.throws(
+			() => FlexEther.util.hashTypedData({domain, types, message: {...message, nonce: '9223372036854775808'}}),
+			FlexEther.util.InvalidTypedDataError,
+		);
+		// No guessing what other kinds of values mean.
+		for (const bad of [{ok: 'false'}, {ok: 0}, {tags: ['a', 1]}, {data: 1234}, {data: 'beef'}]) {
+			assert.throws(
+				() => FlexEther.util.hashTypedData({domain, types, message: {...message, ...bad}}),
+				FlexEther.util.InvalidTypedDataError,
+				JSON.stringify(bad),
+			);
+		}
+	});
+
+	it('can sign and verify EIP-712 typed data', async function() {
+		const eth = new FlexEther({provider: provider});
+		const {domain, types, message} = createMailTypedData();
+		const key = ethjs.bufferToHex(ethjs.keccak256(Buffer.from('cow')));
+		let sig = await eth.signTypedData(domain, types, message, {key: key});
+		// Signature from the EIP-712 spec.
+		assert.equal(
+			sig,
+			'0x4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d' +
+			'07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b915621c',
+		);
+		const typedData = {domain, types, message};
+		assert.equal(
+			FlexEther.util.recoverTypedDataSigner(typedData, sig),
+			'0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826',
+		);
+		assert.ok(FlexEther.util.verifyTypedData(typedData, sig, '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826'));
+		assert.ok(!FlexEther.util.verifyTypedData(typedData, sig, accounts[0].address));
+		// Through the provider.
+		sig = await eth.signTypedData(domain, types, message, {from: accounts[1].address});
+		assert.ok(FlexEther.util.verifyTypedData(typedData, sig, accounts[1].address));
+	});
+
+	it('can decrypt a pbkdf2 keystore', async function() {
+		// Test vector from the Web3 Secret Storage spec.
+		const keystore = {
+			crypto: {
+				cipher: 'aes-128-ctr',
+				cipherparams: { iv: '6087dab2f9fdbbfaddc31a909735c1e6' },
+				ciphertext: '5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46',
+				kdf: 'pbkdf2',
+				kdfparams: {
+					c: 262144,
+					dklen: 32,
+					prf: 'hmac-sha256',
+					salt: 'ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd',
+				},
+				mac: '517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2',
+			},
+			id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+			version: 3,
+		};
+		assert.equal(
+			await FlexEther.wallet.decryptKeystore(JSON.stringify(keystore), 'testpassword'),
+			'0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d',
+		);
+		await assert.rejects(
+			FlexEther.wallet.decryptKeystore(keystore, 'wrongpassword'),
+			FlexEther.wallet.KeystorePasswordError,
+		);
+	});
+
+	it('can encrypt and decrypt a keystore', async function() {
+		const key = randomHex(32);
+		for (const opts of [{n: 1024}, {n: 65536, r: 1}, {kdf: 'pbkdf2', c: 1024}]) {
+			const keystore = await FlexEther.wallet.encryptKeystore(key, 'password', opts);
+			assert.equal(keystore.version, 3);
+			assert.equal(await FlexEther.wallet.decryptKeystore(keystore, 'password'), key);
+		}
+	});
+
+	it('can send ether with a keystore signer', async function() {
+		const eth = new FlexEther({provider: provider});
+		const keystore = await FlexEther.wallet.encryptKeystore(accounts[8].secretKey, 'password', {n: 1024});
+		const signer = await FlexEther.KeySigner.fromKeystore(keystore, 'password');
+		assert.equal(await signer.getAddress(), accounts[8].address);
+		const to = randomAddress();
+		await eth.transfer(to, 100, {signer: signer});
+		assert.equal(await eth.getBalance(to), 100);
+	});
+
+	it('can derive accounts from a mnemonic', async function() {
+		const mnemonic = 'test test test test test test test test test test test junk';
+		const account = await FlexEther.wallet.mnemonicToAccount(mnemonic);
+		assert.equal(account.path, "m/44'/60'/0'/0/0");
+		assert.equal(account.key, '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+		assert.equal(account.address, '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+		const accounts = await FlexEther.wallet.mnemonicToAccounts(` ${mnemonic.toUpperCase()}\n`, 3);
+		assert.deepEqual(accounts[0], account);
+		assert.equal(accounts[2].path, "m/44'/60'/0'/0/2");
+		assert.equal(accounts[2].address, '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC');
+		assert.deepEqual(
+			await FlexEther.wallet.mnemonicToAccount(mnemonic, {path: "m/44'/60'/0'/0/2"}),
+			accounts[2],
+		);
+		const withPassphrase = await FlexEther.wallet.mnemonicToAccount(mnemonic, {passphrase: 'foo'});
+		assert.notEqual(withPassphrase.address, account.address);
+	});
+
+	it('rejects invalid mnemonics and paths', async function() {
+		const mnemonic = 'test test test test test test test test test test test test';
+		assert.ok(!FlexEther.wallet.validateMnemonic(mnemonic));
+		assert.ok(FlexEther.wallet.validateMnemonic(FlexEther.wallet.generateMnemonic()));
+		await assert.rejects(
+			FlexEther.wallet.mnemonicToAccount(mnemonic),
+			FlexEther.wallet.InvalidMnemonicError,
+		);
+		await assert.rejects(
+			FlexEther.wallet.mnemonicToAccount(FlexEther.wallet.generateMnemonic(), {path: "44'/60'"}),
+			FlexEther.wallet.InvalidHDPathError,
+		);
+	});
+
+	it('can send ether with a mnemonic-derived key', async function() {
+		const eth = new FlexEther({provider: provider});
+		const mnemonic = FlexEther.wallet.generateMnemonic();
+		const account = await FlexEther.wallet.mnemonicToAccount(mnemonic, {index: 1});
+		await eth.transfer(account.address, '1000000000000000000', {from: accounts[0].address});
+		const to = randomAddress();
+		await eth.transfer(to, 100, {key: account.key});
+		assert.equal(await eth.getBalance(to), 100);
+		const signer = await FlexEther.KeySigner.fromMnemonic(mnemonic, {index: 1});
+		assert.equal(await signer.getAddress(), account.address);
+		await eth.transfer(to, 100, {signer: signer});
+		assert.equal(await eth.getBalance(to), 200);
+	});
+
 	it('can estimate gas', async function() {
 		const eth = new FlexEther({provider: provider});
 		const to = randomAddress();
@@ -145,6 +851,830 @@ describe('flex-contract', function() {
 		assert.equal(r, '0x');
 	});
 
+	it('can ABI-encode and decode values', async function() {
+		const types = ['tuple(address to, uint256[] amounts, string memo)[]', 'int8', 'bytes', 'uint8[2][]'];
+		const values = [
+			[{to: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826', amounts: [1, 2], memo: 'x'}],
+			-5,
+			'0xdeadbeef',
+			[[1, 2], [3, 4]],
+		];
+		const encoded = FlexEther.abi.encodeParameters(types, values);
+		const decoded = FlexEther.abi.decodeParameters(types, encoded);
+		assert.equal(decoded[0][0].to, '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826');
+		assert.deepEqual([...decoded[0][0].amounts], ['1', '2']);
+		assert.equal(decoded[0][0].memo, 'x');
+		assert.equal(decoded[1], '-5');
+		assert.equal(decoded[2], '0xdeadbeef');
+		assert.deepEqual(decoded[3].map(a => [...a]), [['1', '2'], ['3', '4']]);
+		assert.equal(
+			FlexEther.abi.encodeFunctionCall('transfer(address,uint256)', ['0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826', 100]),
+			'0xa9059cbb000000000000000000000000cd2a3d9f938e13cd947ec05abc7fe734df8dd826' + encodeWord(100),
+		);
+		assert.throws(() => FlexEther.abi.encodeParameters(['uint8'], [256]), FlexEther.abi.AbiEncodeError);
+		assert.throws(() => FlexEther.abi.decodeParameters(['string'], '0x' + encodeWord(32)), FlexEther.abi.AbiDecodeError);
+	});
+
+	it('checks values the same way for ABI and EIP-712 encoding', async function() {
+		const {abi, util} = FlexEther;
+		const cases = [
+			['int8', -128, true],
+			['int8', 127, true],
+			['int8', 128, false],
+			['int8', -129, false],
+			['uint8', 255, true],
+			['uint8', 256, false],
+			['uint8', -1, false],
+			['bytes2', '0x1234', true],
+			['bytes2', '0x123456', false],
+			['uint8[2]', [1, 2], true],
+			['uint8[2]', [1], false],
+		];
+		for (const [type, value, ok] of cases) {
+			const abiError = _.attempt(() => abi.encodeParameters([type], [value]));
+			const typedDataError = _.attempt(() => util.hashStruct('S', {S: [{name: 'v', type}]}, {v: value}));
+			assert.equal(!(abiError instanceof abi.AbiEncodeError), ok, `${type} ${JSON.stringify(value)}`);
+			assert.equal(!(typedDataError instanceof util.InvalidTypedDataError), ok, `${type} ${JSON.stringify(value)}`);
+		}
+	});
+
+	it('can call a function', async function() {
+		const eth = new FlexEther({provider: provider});
+		const echo = await deployEcho(eth);
+		const result = await eth.callFunction(
+			echo,
+			'function echo(uint256 a, (address b, string c)[] d) view returns (uint256 a, (address b, string c)[] d)',
+			[123, [[accounts[0].address, 'hello']]],
+		);
+		assert.equal(result.a, '123');
+		assert.equal(result.d[0].b, accounts[0].address);
+		assert.equal(result.d[0].c, 'hello');
+		assert.equal(await eth.callFunction(echo, 'echo(uint256) returns (uint256)', [5]), '5');
+		assert.equal(await eth.callFunction(echo, 'echo(uint256)', [5]), '0x' + encodeWord(5));
+	});
+
+	it('resolves ENS names in function arguments', async function() {
+		const eth = new FlexEther({provider: provider});
+		const echo = await deployEcho(eth);
+		const names = {'foo.eth': accounts[1].address, 'bar.eth': accounts[2].address};
+		eth.resolve = async name => names[name] || ethjs.toChecksumAddress(name);
+		const result = await eth.callFunction(
+			echo,
+			'echo(address a, address[] b, (address c) d) returns (address a, address[] b, (address c) d)',
+			['foo.eth', ['bar.eth', accounts[3].address], {c: 'foo.eth'}],
+		);
+		assert.equal(result.a, accounts[1].address);
+		assert.deepEqual([...result.b], [accounts[2].address, accounts[3].address]);
+		assert.equal(result.d.c, accounts[1].address);
+	});
+
+	it('can send a function call', async function() {
+		const eth = new FlexEther({provider: provider});
+		const to = randomAddress();
+		const receipt = await eth.sendFunction(to, 'transfer(address,uint256)', [accounts[1].address, 100]);
+		const tx = await eth.getTransaction(receipt.transactionHash);
+		assert.equal(tx.input, FlexEther.abi.encodeFunctionCall('transfer(address,uint256)', [accounts[1].address, 100]));
+	});
+
+	it('can get decoded event logs', async function() {
+		const eth = new FlexEther({provider: provider});
+		const logger = await deployLogger(eth);
+		const event = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+		assert.equal(
+			FlexEther.abi.getEventTopic(event),
+			'0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+		);
+		const fromBlock = await eth.getBlockNumber() + 1;
+		const [from, to, other] = _.times(3, () => randomAddress());
+		await emitLog(eth, logger, event, [from, to, 100]);
+		await emitLog(eth, logger, event, [other, to, 200]);
+		await emitLog(eth, logger, event, [to, from, 300]);
+		let logs = await eth.getPastLogs({address: logger, fromBlock, event, args: {to}});
+		assert.equal(logs.length, 2);
+		assert.equal(logs[0].event, 'Transfer');
+		assert.equal(logs[0].signature, 'Transfer(address,address,uint256)');
+		assert.equal(logs[0].args.from, from);
+		assert.equal(logs[0].args[1], to);
+		assert.equal(logs[0].args.value, '100');
+		assert.equal(logs[1].args.from, other);
+		// Any of several values.
+		logs = await eth.getPastLogs({address: logger, fromBlock, event, args: [[from, to]]});
+		assert.deepEqual(logs.map(l => l.args.value), ['100', '300']);
+		// By name.
+		logs = await eth.getPastLogs({
+			address: logger,
+			fromBlock,
+			event: 'Transfer',
+			abi: [event, 'event Approval(address indexed owner, address indexed spender, uint256 value)'],
+			args: [null, from],
+		});
+		assert.deepEqual(logs.map(l => l.args.value), ['300']);
+	});
+
+	it('can decode logs with indexed dynamic types', async function() {
+		const eth = new FlexEther({provider: provider});
+		const logger = await deployLogger(eth);
+		const event = 'event Note(string indexed tag, uint8 indexed kind, string text, uint256[] nums)';
+		const fromBlock = await eth.getBlockNumber() + 1;
+		await emitLog(eth, logger, event, ['hello', 3, 'some text', [1, 2]]);
+		await emitLog(eth, logger, event, ['bye', 3, 'other text', []]);
+		const logs = await eth.getPastLogs({address: logger, fromBlock, event, args: {tag: 'hello'}});
+		assert.equal(logs.length, 1);
+		assert.equal(logs[0].args.tag, ethjs.bufferToHex(ethjs.keccak256(Buffer.from('hello'))));
+		assert.equal(logs[0].args.kind, '3');
+		assert.equal(logs[0].args.text, 'some text');
+		assert.deepEqual([...logs[0].args.nums], ['1', '2']);
+	});
+
+	it('can decode receipt logs', async function() {
+		const eth = new FlexEther({provider: provider});
+		const logger = await deployLogger(eth);
+		const [from, to] = _.times(2, () => randomAddress());
+		const receipt = await emitLog(
+			eth,
+			logger,
+			'event Transfer(address indexed from, address indexed to, uint256 value)',
+			[from, to, 100],
+		);
+		let [log] = receipt.decodeLogs(['event Approval(address indexed owner, address indexed spender, uint256 value)']);
+		assert.equal(log.event, undefined);
+		[log] = receipt.decodeLogs([{
+			type: 'event',
+			name: 'Transfer',
+			inputs: [
+				{name: 'from', type: 'address', indexed: true},
+				{name: 'to', type: 'address', indexed: true},
+				{name: 'value', type: 'uint256', indexed: false},
+			],
+		}]);
+		assert.equal(log.event, 'Transfer');
+		assert.equal(log.args.to, to);
+		assert.equal(log.transactionHash, receipt.transactionHash);
+		assert.ok(!Object.keys(receipt).includes('decodeLogs'));
+	});
+
+	it('splits up log ranges the provider rejects', async function() {
+		const eth = new FlexEther({provider: provider});
+		const logger = await deployLogger(eth);
+		const event = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+		const fromBlock = await eth.getBlockNumber() + 1;
+		const to = randomAddress();
+		for (let i = 0; i < 7; ++i) {
+			await emitLog(eth, logger, event, [randomAddress(), to, i]);
+		}
+		const toBlock = await eth.getBlockNumber();
+		for (const suggest of [false, true]) {
+			const limited = createLogLimitProvider(provider, 2, suggest);
+			const limitedEth = new FlexEther({provider: limited});
+			const logs = await limitedEth.getPastLogs({address: logger, fromBlock, event, args: {to}});
+			assert.deepEqual(logs.map(l => l.args.value), _.times(7, i => `${i}`));
+			assert.ok(limited.rejected > 0);
+			// The range that failed isn't tried again.
+			limited.ranges.length = 0;
+			await limitedEth.getPastLogs({address: logger, fromBlock, toBlock, event, args: {to}});
+			assert.equal(limited.ranges.filter(r => _.isEqual(r, [fromBlock, toBlock])).length, 1);
+		}
+	});
+
+	it('can iterate over logs in chunks', async function() {
+		const eth = new FlexEther({provider: provider});
+		const logger = await deployLogger(eth);
+		const event = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+		const fromBlock = await eth.getBlockNumber() + 1;
+		const to = randomAddress();
+		for (let i = 0; i < 5; ++i) {
+			await emitLog(eth, logger, event, [randomAddress(), to, i]);
+		}
+		const toBlock = await eth.getBlockNumber();
+		const limited = createLogLimitProvider(provider, 2);
+		const limitedEth = new FlexEther({provider: limited});
+		const values = [];
+		const chunks = [];
+		const iter = limitedEth.iterateLogs(
+			{address: logger, fromBlock, event, args: {to}},
+			{chunkSize: 3, onProgress: chunk => chunks.push(chunk)},
+		);
+		for await (const log of iter) {
+			values.push(log.args.value);
+		}
+		assert.deepEqual(values, _.times(5, i => `${i}`));
+		assert.equal(chunks[0].fromBlock, fromBlock);
+		assert.equal(_.last(chunks).toBlock, toBlock);
+		for (let i = 1; i < chunks.length; ++i) {
+			assert.equal(chunks[i].fromBlock, chunks[i - 1].toBlock + 1);
+			assert.ok(chunks[i].toBlock - chunks[i].fromBlock < 2);
+		}
+	});
+
+	it('can watch logs with a filter', async function() {
+		const eth = new FlexEther({provider: provider, pollInterval: 50});
+		const logger = await deployLogger(eth);
+		const event = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+		const to = randomAddress();
+		const values = [];
+		const watcher = eth.watchLogs(
+			{address: logger, event, args: {to}},
+			log => values.push(log.args.value),
+		);
+		try {
+			await watcher.ready;
+			assert.equal(watcher.mode, 'filter');
+			await emitLog(eth, logger, event, [randomAddress(), to, 1]);
+			await emitLog(eth, logger, event, [randomAddress(), randomAddress(), 2]);
+			await emitLog(eth, logger, event, [randomAddress(), to, 3]);
+			await waitFor(() => values.length >= 2);
+			assert.deepEqual(values, ['1', '3']);
+		} finally {
+			await watcher.unsubscribe();
+		}
+	});
+
+	it('rejects ready when a watcher cannot be set up', async function() {
+		const eth = new FlexEther({provider: provider, pollInterval: 50});
+		let watcher = eth.watchLogs({event: 'Nope'}, _.noop);
+		await assert.rejects(watcher.ready);
+		assert.strictEqual(watcher.mode, null);
+		assert.ok(watcher.error);
+		const errors = [];
+		watcher = eth.watchLogs({event: 'Nope'}, _.noop, {onError: err => errors.push(err)});
+		await assert.rejects(watcher.ready);
+		assert.equal(errors.length, 1);
+	});
+
+	it('passes errors thrown by a watcher handler to onError', async function() {
+		const eth = new FlexEther({provider: provider, pollInterval: 50});
+		const logger = await deployLogger(eth);
+		const event = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+		const errors = [];
+		const watcher = eth.watchLogs({address: logger, event}, async log => {
+			throw new Error(`oops ${log.args.value}`);
+		}, {onError: err => errors.push(err)});
+		try {
+			await watcher.ready;
+			await emitLog(eth, logger, event, [randomAddress(), randomAddress(), 1]);
+			await emitLog(eth, logger, event, [randomAddress(), randomAddress(), 2]);
+			await waitFor(() => errors.length >= 2);
+			assert.deepEqual(errors.map(e => e.message), ['oops 1', 'oops 2']);
+			assert.strictEqual(watcher.error, null);
+		} finally {
+			await watcher.unsubscribe();
+		}
+	});
+
+	it('stops a watcher on the first error without onError', async function() {
+		const eth = new FlexEther({provider: provider, pollInterval: 50});
+		const logger = await deployLogger(eth);
+		const event = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+		const values = [];
+		const watcher = eth.watchLogs({address: logger, event}, log => {
+			values.push(log.args.value);
+			throw new Error('oops');
+		});
+		try {
+			await watcher.ready;
+			await emitLog(eth, logger, event, [randomAddress(), randomAddress(), 1]);
+			await waitFor(() => watcher.error);
+			assert.equal(watcher.error.message, 'oops');
+			await emitLog(eth, logger, event, [randomAddress(), randomAddress(), 2]);
+			await new Promise(accept => setTimeout(accept, 200));
+			assert.deepEqual(values, ['1']);
+		} finally {
+			await watcher.unsubscribe();
+		}
+	});
+
+	it('can watch logs with a subscription', async function() {
+		const eth = new FlexEther({provider: createSubscriptionProvider(provider)});
+		const logger = await deployLogger(eth);
+		const event = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+		const to = randomAddress();
+		const watcher = eth.watchLogs({address: logger, event, args: {to}});
+		await watcher.ready;
+		assert.equal(watcher.mode, 'subscription');
+		for (let i = 0; i < 3; ++i) {
+			await emitLog(eth, logger, event, [randomAddress(), to, i]);
+		}
+		const values = [];
+		for await (const log of watcher) {
+			values.push(log.args.value);
+			if (values.length === 3) {
+				break;
+			}
+		}
+		assert.deepEqual(values, ['0', '1', '2']);
+	});
+
+	it('falls back to polling blocks when a log filter expires', async function() {
+		const filterProvider = createFilterProvider(provider);
+		const eth = new FlexEther({provider: filterProvider, pollInterval: 50});
+		const logger = await deployLogger(eth);
+		const event = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+		const values = [];
+		const watcher = eth.watchLogs({address: logger, event}, log => values.push(log.args.value));
+		try {
+			await watcher.ready;
+			await emitLog(eth, logger, event, [randomAddress(), randomAddress(), 1]);
+			await waitFor(() => values.length >= 1);
+			filterProvider.expired = true;
+			await emitLog(eth, logger, event, [randomAddress(), randomAddress(), 2]);
+			await waitFor(() => values.length >= 2);
+			assert.equal(watcher.mode, 'poll');
+			await emitLog(eth, logger, event, [randomAddress(), randomAddress(), 3]);
+			await waitFor(() => values.length >= 3);
+			assert.deepEqual(values, ['1', '2', '3']);
+		} finally {
+			await watcher.unsubscribe();
+		}
+	});
+
+	it('can watch logs through reorgs', async function() {
+		const eth = new FlexEther({provider: createFilterProvider(provider, false), pollInterval: 50});
+		const logger = await deployLogger(eth);
+		const event = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+		const logs = [];
+		const watcher = eth.watchLogs({address: logger, event}, log => logs.push(log));
+		try {
+			await watcher.ready;
+			assert.equal(watcher.mode, 'poll');
+			const snapshot = await eth.rpc._send('evm_snapshot');
+			await emitLog(eth, logger, event, [randomAddress(), randomAddress(), 1]);
+			await waitFor(() => logs.length >= 1);
+			// Orphan the block with a longer chain.
+			await eth.rpc._send('evm_revert', [snapshot]);
+			await eth.rpc._send('evm_mine');
+			await eth.rpc._send('evm_mine');
+			await waitFor(() => logs.length >= 2);
+			eth.nonces.reset();
+			await emitLog(eth, logger, event, [randomAddress(), randomAddress(), 2]);
+			await waitFor(() => logs.length >= 3);
+			assert.deepEqual(logs.map(l => [l.args.value, !!l.removed]), [['1', false], ['1', true], ['2', false]]);
+			assert.equal(logs[1].transactionHash, logs[0].transactionHash);
+		} finally {
+			await watcher.unsubscribe();
+		}
+	});
+
+	it('can watch blocks', async function() {
+		const eth = new FlexEther({provider: provider, pollInterval: 200});
+		const blocks = [];
+		const watcher = eth.watchBlocks(block => blocks.push(block), {fullTransactions: true});
+		try {
+			await watcher.ready;
+			assert.equal(watcher.mode, 'poll');
+			const start = await eth.getBlockNumber();
+			// Mine a few at once so some get skipped between polls.
+			const receipt = await eth.transfer(randomAddress(), 100);
+			await eth.rpc._send('evm_mine');
+			await eth.rpc._send('evm_mine');
+			await waitFor(() => blocks.length >= 3);
+			assert.deepEqual(blocks.map(b => b.number), [start + 1, start + 2, start + 3]);
+			for (let i = 1; i < blocks.length; ++i) {
+				assert.equal(blocks[i].parentHash, blocks[i - 1].hash);
+			}
+			assert.equal(blocks[0].transactions[0].hash, receipt.transactionHash);
+		} finally {
+			await watcher.unsubscribe();
+		}
+	});
+
+	it('can watch blocks with a subscription', async function() {
+		const eth = new FlexEther({provider: createSubscriptionProvider(provider)});
+		const watcher = eth.watchBlocks();
+		await watcher.ready;
+		assert.equal(watcher.mode, 'subscription');
+		const start = await eth.getBlockNumber();
+		await eth.rpc._send('evm_mine');
+		await eth.rpc._send('evm_mine');
+		const blocks = [];
+		for await (const block of watcher) {
+			blocks.push(block);
+			if (blocks.length === 2) {
+				break;
+			}
+		}
+		assert.deepEqual(blocks.map(b => b.number), [start + 1, start + 2]);
+		assert.ok(_.isArray(blocks[0].transactions));
+	});
+
+	it('can watch blocks through reorgs', async function() {
+		const eth = new FlexEther({provider: provider, pollInterval: 50});
+		const blocks = [];
+		const watcher = eth.watchBlocks(block => blocks.push(block));
+		try {
+			await watcher.ready;
+			const snapshot = await eth.rpc._send('evm_snapshot');
+			const start = await eth.getBlockNumber();
+			await eth.transfer(randomAddress(), 100);
+			await eth.rpc._send('evm_mine');
+			await waitFor(() => blocks.length >= 2);
+			// Orphan both blocks with a longer chain.
+			await eth.rpc._send('evm_revert', [snapshot]);
+			for (let i = 0; i < 3; ++i) {
+				await eth.rpc._send('evm_mine');
+			}
+			await waitFor(() => blocks.length >= 7);
+			eth.nonces.reset();
+			assert.deepEqual(
+				blocks.map(b => [b.number - start, !!b.removed]),
+				[[1, false], [2, false], [2, true], [1, true], [1, false], [2, false], [3, false]],
+			);
+			assert.equal(blocks[2].hash, blocks[1].hash);
+			assert.notEqual(blocks[4].hash, blocks[0].hash);
+		} finally {
+			await watcher.unsubscribe();
+		}
+	});
+
+	it('can multicall', async function() {
+		const eth = new FlexEther({provider: provider});
+		const multicallAddress = await deployMulticall(eth);
+		const echo = await deployEcho(eth);
+		const results = await eth.multicall(
+			[
+				{to: echo, data: '0x12345678' + encodeWord(1)},
+				{to: echo, data: '0x12345678' + encodeWord(2) + 'abcd'},
+				{to: echo, data: '0x12345678'},
+			],
+			{multicallAddress},
+		);
+		assert.deepEqual(results, ['0x' + encodeWord(1), '0x' + encodeWord(2) + 'abcd', '0x']);
+		// The real Multicall3.
+		assert.equal(
+			ethjs.bufferToHex(ethjs.keccak256(ethjs.toBuffer(await eth.getCode(multicallAddress)))),
+			'0x5a29a1eb2f59e45e4249b938c8192cac0d2bd32398e1afa03f302a867db692ea',
+		);
+	});
+
+	it('can multicall with failures', async function() {
+		const eth = new FlexEther({provider: provider});
+		const chainId = await eth.getChainId();
+		eth.multicallAddress = {[chainId]: await deployMulticall(eth)};
+		const [echo, reverter] = await Promise.all([deployEcho(eth), deployReverter(eth)]);
+		const errorData = '0x08c379a0' + FlexEther.abi.encodeParameters(['string'], ['nope']).slice(2);
+		const calls = [
+			{to: echo, data: '0x12345678' + encodeWord(1)},
+			{to: reverter, data: errorData},
+		];
+		const [ok, failed] = await eth.multicall(calls, {allowFailure: true});
+		assert.deepEqual(ok, {success: true, result: '0x' + encodeWord(1)});
+		assert.equal(failed.success, false);
+		assert.equal(failed.result, errorData);
+		assert.ok(failed.error instanceof FlexEther.CallRevertedError);
+		assert.equal(failed.error.reason, 'nope');
+		await assert.rejects(eth.multicall(calls), {reason: 'nope'});
+	});
+
+	it('can multicall at different blocks', async function() {
+		const eth = new FlexEther({provider: provider});
+		const multicallAddress = await deployMulticall(eth);
+		const echo = await deployEcho(eth);
+		const block = await eth.getBlockNumber();
+		const counter = createCountingProvider(provider);
+		const countingEth = new FlexEther({provider: counter, multicallAddress});
+		const data = '0x12345678' + encodeWord(1);
+		const results = await countingEth.multicall([
+			{to: echo, data, block: block - 1},
+			{to: echo, data},
+			{to: echo, data},
+		]);
+		// No code before the echo contract was deployed.
+		assert.deepEqual(results, ['0x', '0x' + encodeWord(1), '0x' + encodeWord(1)]);
+		const payloads = _.flatten(counter.payloads);
+		assert.equal(payloads.filter(p => p.method === 'eth_call').length, 2);
+		// The code check and the call look at the same block.
+		const blocks = payloads
+			.filter(p => p.method === 'eth_call' || p.method === 'eth_getCode')
+			.map(p => p.params[1]);
+		assert.deepEqual(_.sortBy(_.uniq(blocks).map(Number)), [block - 1, block]);
+	});
+
+	it('injects a multicall contract with a state override', async function() {
+		const overrider = createStateOverrideProvider(provider);
+		const eth = new FlexEther({provider: overrider});
+		const echo = await deployEcho(eth);
+		const results = await eth.multicall([
+			{to: echo, data: '0x12345678' + encodeWord(1)},
+			{to: echo, data: '0x12345678' + encodeWord(2)},
+		]);
+		assert.deepEqual(results, ['0x' + encodeWord(1), '0x' + encodeWord(2)]);
+		assert.equal(overrider.overridden, 1);
+	});
+
+	it('can look up the ENS name of an address', async function() {
+		const [alice, bob] = _.times(2, () => randomAddress());
+		const ens = createEnsProvider(provider, {
+			names: {'alice.eth': alice},
+			reverseNames: {[alice]: 'alice.eth'},
+		});
+		const eth = new FlexEther({provider: ens});
+		assert.equal(await eth.lookupAddress(alice), 'alice.eth');
+		assert.equal(await eth.lookupAddress(alice.toLowerCase()), 'alice.eth');
+		assert.strictEqual(await eth.lookupAddress(bob), null);
+	});
+
+	it('does not trust reverse ENS records that do not resolve back', async function() {
+		const [alice, mallory] = _.times(2, () => randomAddress());
+		const ens = createEnsProvider(provider, {
+			names: {'alice.eth': alice},
+			reverseNames: {[mallory]: 'alice.eth'},
+		});
+		const eth = new FlexEther({provider: ens});
+		assert.strictEqual(await eth.lookupAddress(mallory), null);
+	});
+
+	it('caches ENS reverse lookups', async function() {
+		const alice = randomAddress();
+		const ens = createEnsProvider(provider, {
+			names: {'alice.eth': alice},
+			reverseNames: {[alice]: 'alice.eth'},
+		});
+		const eth = new FlexEther({provider: ens});
+		assert.equal(await eth.lookupAddress(alice), 'alice.eth');
+		const numCalls = ens.calls.length;
+		assert.equal(await eth.lookupAddress(alice), 'alice.eth');
+		assert.equal(await eth.resolve('alice.eth'), alice);
+		assert.equal(ens.calls.length, numCalls);
+	});
+
+	it('caches ENS names and addresses for the same node separately', async function() {
+		const alice = randomAddress();
+		const reverseName = `${alice.slice(2).toLowerCase()}.addr.reverse`;
+		const other = randomAddress();
+		const ens = createEnsProvider(provider, {
+			names: {'alice.eth': alice, [reverseName]: other},
+			reverseNames: {[alice]: 'alice.eth'},
+		});
+		const eth = new FlexEther({provider: ens});
+		assert.equal(await eth.resolve(reverseName), other);
+		assert.equal(await eth.lookupAddress(alice), 'alice.eth');
+		assert.equal(await eth.resolve(reverseName), other);
+	});
+
+	it('can resolve ENS subnames with their own resolver', async function() {
+		const alice = randomAddress();
+		const ens = createEnsProvider(provider, {names: {'wallet.alice.eth': alice}});
+		const eth = new FlexEther({provider: ens});
+		assert.equal(await eth.resolve('wallet.alice.eth'), alice);
+	});
+
+	it('can resolve ENS names through a wildcard resolver', async function() {
+		const addresses = {'alice.base.eth': randomAddress(), 'bob.base.eth': randomAddress()};
+		const ens = createEnsProvider(provider, {
+			names: {'plain.eth': randomAddress()},
+			wildcards: {'base.eth': name => addresses[name]},
+		});
+		const eth = new FlexEther({provider: ens});
+		assert.equal(await eth.resolve('alice.base.eth'), addresses['alice.base.eth']);
+		assert.equal(await eth.resolve('bob.base.eth'), addresses['bob.base.eth']);
+		// Resolvers without wildcard support only resolve their own names.
+		await assert.rejects(eth.resolve('sub.plain.eth'), /No resolver/);
+	});
+
+	it('can resolve ENS names through CCIP-Read', async function() {
+		const alice = randomAddress();
+		const fetch = createGatewayFetch({'alice.offchain.eth': alice});
+		const ens = createEnsProvider(provider, {
+			offchain: {'offchain.eth': ['https://down.example/{sender}/{data}.json', 'https://gateway.example/']},
+		});
+		const eth = new FlexEther({provider: ens, ens: {fetch}});
+		assert.equal(await eth.resolve('alice.offchain.eth'), alice);
+		assert.deepEqual(fetch.requests.map(r => r.method), ['GET', 'POST']);
+		assert.ok(fetch.requests[0].url.includes(ens.calls.find(c => c.data.startsWith('0x9061b923')).to.toLowerCase()));
+		await assert.rejects(eth.resolve('bob.offchain.eth'), /gateway request failed.*404/);
+		const noCcipEth = new FlexEther({provider: ens, ens: {fetch, ccipRead: false}});
+		await assert.rejects(noCcipEth.resolve('alice.offchain.eth'), FlexEther.CallRevertedError);
+	});
+
+	it('can normalize and hash ENS names', async function() {
+		const {util} = FlexEther;
+		assert.equal(util.normalizeEnsName('Nick.ETH'), 'nick.eth');
+		assert.equal(util.normalizeEnsName('ＡＢＣ.eth'), 'abc.eth');
+		assert.equal(util.normalizeEnsName('💩.eth'), '💩.eth');
+		assert.equal(util.namehash('eth'), '0x93cdeb708b7545dc668eb9280176169d1c33cfd8ed6f04690a0bcc88a93fc4ae');
+		assert.equal(util.namehash('Foo.ETH'), '0xde9b09fd7c5f901e23a3f19fecc54828e9c848539801e86591bd9801b019f84f');
+		// The empty name is the root node (EIP-137).
+		assert.equal(util.namehash(''), '0x' + _.repeat('0', 64));
+	});
+
+	it('rejects invalid ENS names', async function() {
+		const {util} = FlexEther;
+		assert.throws(() => util.normalizeEnsName('a_b.eth'), err =>
+			err instanceof util.InvalidEnsNameError &&
+			err.label === 'a_b' &&
+			/underscore/.test(err.reason) &&
+			/"a_b"/.test(err.message));
+		// Cyrillic lookalikes mixed with a Latin "l".
+		assert.throws(() => util.normalizeEnsName('раураl.eth'), {name: 'InvalidEnsNameError', label: 'раураl'});
+		assert.throws(() => util.normalizeEnsName('a..eth'), {label: ''});
+		assert.throws(() => util.normalizeEnsName(''), util.InvalidEnsNameError);
+		const ens = createEnsProvider(provider);
+		const eth = new FlexEther({provider: ens});
+		await assert.rejects(eth.resolve('ab\u200dc.eth'), util.InvalidEnsNameError);
+		assert.equal(ens.calls.length, 0);
+	});
+
+	it('normalizes ENS names before resolving them', async function() {
+		const alice = randomAddress();
+		const mallory = randomAddress();
+		const ens = createEnsProvider(provider, {
+			names: {'alice.eth': alice, 'mallory.eth': mallory},
+			reverseNames: {[mallory]: 'Mallory.eth'},
+		});
+		const eth = new FlexEther({provider: ens});
+		assert.equal(await eth.resolve('ALICE.eth'), alice);
+		// Reverse records have to be normalized.
+		assert.strictEqual(await eth.lookupAddress(mallory), null);
+	});
+
+	it('can resolve ENS names with a custom registry', async function() {
+		const alice = randomAddress();
+		const registry = randomAddress();
+		const ens = createEnsProvider(provider, {
+			names: {'alice.eth': alice},
+			registry,
+			chainId: null,
+		});
+		let eth = new FlexEther({provider: ens});
+		const chainId = await eth.getChainId();
+		await assert.rejects(eth.resolve('alice.eth'), /not supported on chain ID/);
+		eth = new FlexEther({provider: ens, ens: {registry}});
+		assert.equal(await eth.resolve('alice.eth'), alice);
+		eth = new FlexEther({provider: ens, ens: {registry: {[chainId]: registry}}});
+		assert.equal(await eth.resolve('alice.eth'), alice);
+	});
+
+	it('can resolve names with a custom hook', async function() {
+		const alice = randomAddress();
+		const bob = randomAddress();
+		const book = {'alice': alice.toLowerCase(), 'bob.eth': bob, 'bad': '0x1234'};
+		const ens = createEnsProvider(provider, {names: {'bob.eth': randomAddress()}});
+		const calls = [];
+		const resolveName = (name, opts) => {
+			calls.push(opts);
+			return book[name];
+		};
+		// No ENS on this chain.
+		let eth = new FlexEther({provider, ens: {resolveName}});
+		const chainId = await eth.getChainId();
+		assert.equal(await eth.resolve('alice'), alice);
+		assert.deepEqual(calls, [{chainId, block: 'latest'}]);
+		await assert.rejects(eth.resolve('carol.eth'), /not supported on chain ID/);
+		await assert.rejects(eth.resolve('bad'), /invalid address/);
+		// The hook comes before ENS.
+		eth = new FlexEther({provider: ens, ens: {resolveName}});
+		assert.equal(await eth.resolve('bob.eth'), bob);
+		assert.equal(ens.calls.length, 0);
+	});
+
+	it('detects London by the base fee on chains it does not know', async function() {
+		const signer = new MockRemoteSigner(accounts[8].secretKey);
+		const counter = createCountingProvider(createForkProvider(provider));
+		let eth = new FlexEther({provider: counter, signer});
+		await assert.rejects(eth.transfer(randomAddress(), 100), /not sent/);
+		assert.equal(signer.signed[0].type, '0x0');
+		// No need to look again until there's a new block.
+		await assert.rejects(eth.transfer(randomAddress(), 100), /not sent/);
+		assert.equal(counter.payloads.filter(p => p.method === 'eth_getBlockByNumber').length, 1);
+		eth = new FlexEther({provider: createForkProvider(provider, {baseFee: '0x3b9aca00'}), signer});
+		await assert.rejects(eth.transfer(randomAddress(), 100), /not sent/);
+		assert.equal(signer.signed[2].type, '0x2');
+		assert.ok(signer.signed[2].maxFeePerGas);
+	});
+
+	it('can use a custom chain definition', async function() {
+		const signer = new MockRemoteSigner(accounts[8].secretKey);
+		const forkProvider = createForkProvider(provider, {baseFee: '0x3b9aca00'});
+		const chainId = await new FlexEther({provider}).getChainId();
+		const blockNumber = await new FlexEther({provider}).getBlockNumber();
+		let eth = new FlexEther({
+			provider: forkProvider,
+			signer,
+			chains: {[chainId]: {forks: {berlin: 0}}},
+		});
+		await assert.rejects(eth.transfer(randomAddress(), 100), /not sent/);
+		assert.equal(signer.signed[0].type, '0x1');
+		// Forks in the future don't count yet.
+		eth = new FlexEther({
+			provider: forkProvider,
+			signer,
+			chains: {[chainId]: {forks: {london: blockNumber + 100, istanbul: 0}, parentChain: 'ropsten'}},
+		});
+		await assert.rejects(eth.transfer(randomAddress(), 100), /not sent/);
+		assert.equal(signer.signed[1].type, '0x0');
+		// Signed for the chain it's based on.
+		const common = signer.commons[1];
+		assert.equal(common.chainIdBN().toNumber(), chainId);
+		assert.equal(common.hardfork(), 'istanbul');
+		assert.equal(common.genesis().hash, new ethjscom({chain: 'ropsten'}).genesis().hash);
+		assert.notEqual(signer.commons[0].genesis().hash, common.genesis().hash);
+		eth = new FlexEther({
+			provider: forkProvider,
+			signer,
+			chains: {[chainId]: {forks: {frontier: 0}}},
+		});
+		await assert.rejects(eth.transfer(randomAddress(), 100), /Unsupported hardfork "frontier"/);
+	});
+
+	it('does not retry log range errors', async function() {
+		assert.ok(!FlexEther.FallbackProvider.isRetryableError(
+			{code: -32005, message: 'query returned more than 10000 results'},
+		));
+		assert.ok(FlexEther.FallbackProvider.isRetryableError(
+			{code: -32005, message: 'daily request count exceeded, request rate limited'},
+		));
+	});
+
+	it('decodes revert reasons', async function() {
+		const eth = new FlexEther({provider: provider});
+		const reverter = await deployReverter(eth);
+		const data = '0x08c379a0' + encodeWord(32) + encodeWord(3) +
+			_.padEnd(Buffer.from('foo').toString('hex'), 64, '0');
+		for (const fn of [() => eth.call(reverter, {data}), () => eth.estimateGas(reverter, {data})]) {
+			const err = await fn().then(() => null, err => err);
+			assert.ok(err instanceof FlexEther.CallRevertedError);
+			assert.ok(err instanceof RpcClient.RpcError);
+			assert.equal(err.reason, 'foo');
+			assert.equal(err.errorName, 'Error');
+			assert.deepEqual([...err.errorArgs], ['foo']);
+		}
+	});
+
+	it('can reject failed transactions with the revert reason', async function() {
+		const reverter = await deployReverter(new FlexEther({provider: provider}));
+		const mempool = createMempoolProvider(provider);
+		const counter = createCountingProvider(mempool);
+		const eth = new FlexEther({provider: counter, rejectOnFailure: true, confirmationInterval: 50});
+		const data = '0x08c379a0' + encodeWord(32) + encodeWord(3) +
+			_.padEnd(Buffer.from('foo').toString('hex'), 64, '0');
+		const tx = eth.send(reverter, {data, gas: 100000, key: accounts[5].secretKey});
+		await tx.txId;
+		// Ganache errors on reverted transactions but still mines them.
+		await mempool.mine(0).catch(_.noop);
+		const err = await tx.then(() => null, err => err);
+		assert.ok(err instanceof FlexEther.TransactionFailedError);
+		assert.equal(err.txHash, await tx.txId);
+		assert.equal(err.receipt.status, 0);
+		assert.equal(err.reason, 'foo');
+		assert.equal(err.errorName, 'Error');
+		// Replayed on the state before its block.
+		const replay = _.last(_.flatten(counter.payloads).filter(p => p.method === 'eth_call'));
+		assert.equal(replay.params[1], FlexEther.util.toHex(err.receipt.blockNumber - 1));
+	});
+
+	it('can resolve failed transactions', async function() {
+		const reverter = await deployReverter(new FlexEther({provider: provider}));
+		const mempool = createMempoolProvider(provider);
+		const eth = new FlexEther({provider: mempool, rejectOnFailure: true, confirmationInterval: 50});
+		const tx = eth.send(reverter, {
+			data: '0x4e487b71' + encodeWord(1),
+			gas: 100000,
+			key: accounts[5].secretKey,
+			rejectOnFailure: false,
+		});
+		await tx.txId;
+		await mempool.mine(0).catch(_.noop);
+		const receipt = await tx;
+		assert.equal(receipt.status, 0);
+		const err = await tx.confirmed(0).then(() => null, err => err);
+		assert.equal(err, null);
+	});
+
+	it('decodes panic codes', async function() {
+		const eth = new FlexEther({provider: provider});
+		const reverter = await deployReverter(eth);
+		const err = await eth.call(reverter, {data: '0x4e487b71' + encodeWord(0x11)})
+			.then(() => null, err => err);
+		assert.ok(err instanceof FlexEther.CallRevertedError);
+		assert.equal(err.panicCode, 0x11);
+		assert.equal(err.reason, 'arithmetic overflow or underflow');
+		assert.equal(err.errorName, 'Panic');
+	});
+
+	it('decodes custom errors', async function() {
+		const errorAbi = ['error InsufficientBalance(uint256 available, uint256 required)'];
+		const data = '0xcf479181' + encodeWord(100) + encodeWord(200);
+		let eth = new FlexEther({provider: provider});
+		const reverter = await deployReverter(eth);
+		let err = await eth.call(reverter, {data}).then(() => null, err => err);
+		assert.ok(err instanceof FlexEther.CallRevertedError);
+		assert.equal(err.errorSelector, '0xcf479181');
+		assert.equal(err.errorName, undefined);
+		assert.equal(err.errorReturnData, data);
+		err = await eth.call(reverter, {data, errorAbi}).then(() => null, err => err);
+		assert.equal(err.errorName, 'InsufficientBalance');
+		assert.equal(err.errorSignature, 'InsufficientBalance(uint256,uint256)');
+		assert.equal(err.errorArgs.available, '100');
+		assert.deepEqual([...err.errorArgs], ['100', '200']);
+		eth = new FlexEther({provider: provider, errorAbi: [{
+			type: 'error',
+			name: 'InsufficientBalance',
+			inputs: [{name: 'available', type: 'uint256'}, {name: 'required', type: 'uint256'}],
+		}]});
+		err = await eth.estimateGas(reverter, {data}).then(() => null, err => err);
+		assert.equal(err.errorName, 'InsufficientBalance');
+		assert.equal(err.errorArgs.required, '200');
+	});
+
 	it('can get balance from a prior block number', async function() {
 		const eth = new FlexEther({provider: provider});
 		const to = randomAddress();
@@ -169,10 +1699,422 @@ describe('flex-contract', function() {
 	});
 });
 
+// Stands in for a signer backed by an HSM or KMS.
+class MockRemoteSigner extends FlexEther.Signer {
+	constructor(key) {
+		super();
+		this._key = key;
+		this.signed = [];
+		this.commons = [];
+	}
+
+	async getAddress() {
+		return ethjs.toChecksumAddress(ethjs.bufferToHex(ethjs.privateToAddress(this._key)));
+	}
+
+	async signTransaction(tx, opts={}) {
+		this.signed.push(tx);
+		this.commons.push(opts.common);
+		const common = opts.common || ethjscom.forCustomChain('mainnet', { chainId: parseInt(tx.chainId) }, 'london');
+		return ethjs.bufferToHex(
+			ethjsTx.TransactionFactory.fromTxData(tx, { common }).sign(this._key).serialize(),
+		);
+	}
+}
+
+// Wraps a provider to record every payload sent through it.
+function createCountingProvider(provider) {
+	const payloads = [];
+	return {
+		payloads,
+		sendAsync(payload, cb) {
+			payloads.push(payload);
+			return provider.sendAsync(payload, cb);
+		},
+	};
+}
+
+// Wraps a provider to add a `baseFee` to blocks (if given) and refuse raw
+// transactions, since ganache doesn't know about typed transactions.
+function createForkProvider(provider, {baseFee}={}) {
+	return {
+		sendAsync(payload, cb) {
+			const reply = result => cb(null, {jsonrpc: '2.0', id: payload.id, result});
+			if (payload.method === 'eth_maxPriorityFeePerGas') {
+				return reply('0x3b9aca00');
+			}
+			if (payload.method === 'eth_sendRawTransaction') {
+				return cb(null, {
+					jsonrpc: '2.0',
+					id: payload.id,
+					error: {code: -32000, message: 'not sent'},
+				});
+			}
+			if (baseFee && /^eth_getBlockBy/.test(payload.method)) {
+				return provider.sendAsync(payload, (err, res) => {
+					if (!err && res.result) {
+						res.result.baseFeePerGas = baseFee;
+					}
+					cb(err, res);
+				});
+			}
+			return provider.sendAsync(payload, cb);
+		},
+	};
+}
+
+// Wraps a provider to reject `eth_getLogs` calls spanning more than `maxRange`
+// blocks, like Infura does.
+function createLogLimitProvider(provider, maxRange, suggest=false) {
+	const wrapper = {
+		rejected: 0,
+		// Block ranges requested.
+		ranges: [],
+		sendAsync(payload, cb) {
+			if (payload.method === 'eth_getLogs') {
+				const { fromBlock, toBlock } = payload.params[0];
+				const from = parseInt(fromBlock, 16);
+				wrapper.ranges.push([from, parseInt(toBlock, 16)]);
+				if (!/^0x/.test(fromBlock) || !/^0x/.test(toBlock) ||
+						parseInt(toBlock, 16) - from + 1 > maxRange) {
+					++wrapper.rejected;
+					const range = suggest && /^0x/.test(fromBlock)
+						? ` Try with this block range [${fromBlock}, 0x${(from + maxRange - 1).toString(16)}].`
+						: '';
+					return cb(null, {
+						jsonrpc: '2.0',
+						id: payload.id,
+						error: {code: -32005, message: `query returned more than 10000 results.${range}`},
+					});
+				}
+			}
+			return provider.sendAsync(payload, cb);
+		},
+	};
+	return wrapper;
+}
+
+// Wraps a provider to look like one that can push subscriptions, like a
+// websocket provider.
+function createSubscriptionProvider(provider) {
+	return {
+		supportsSubscriptions: () => true,
+		on: (event, listener) => provider.on(event, listener),
+		removeListener: (event, listener) => provider.removeListener(event, listener),
+		sendAsync: (payload, cb) => provider.sendAsync(payload, cb),
+	};
+}
+
+// Wraps a provider whose log filters expire once `expired` is set, or that
+// doesn't support log filters at all.
+function createFilterProvider(provider, supported=true) {
+	const wrapper = {
+		expired: false,
+		sendAsync(payload, cb) {
+			let error = null;
+			if (!supported && payload.method === 'eth_newFilter') {
+				error = {code: -32601, message: 'the method eth_newFilter does not exist/is not available'};
+			} else if (wrapper.expired && payload.method === 'eth_getFilterChanges') {
+				error = {code: -32000, message: 'filter not found'};
+			}
+			if (error) {
+				return cb(null, {jsonrpc: '2.0', id: payload.id, error});
+			}
+			return provider.sendAsync(payload, cb);
+		},
+	};
+	return wrapper;
+}
+
+// Wraps a provider to support the `code` field of `eth_call` state overrides,
+// by deploying the code somewhere and calling that instead.
+function createStateOverrideProvider(provider) {
+	const send = promisify((payload, cb) => provider.sendAsync(payload, cb));
+	const deployed = {};
+	const deploy = async code => {
+		const [from] = (await send({jsonrpc: '2.0', id: 1, method: 'eth_accounts', params: []})).result;
+		const txHash = (await send({
+			jsonrpc: '2.0',
+			id: 1,
+			method: 'eth_sendTransaction',
+			params: [{from, gas: '0x300000', data: createInitCode(code)}],
+		})).result;
+		const receipt = (await send({jsonrpc: '2.0', id: 1, method: 'eth_getTransactionReceipt', params: [txHash]})).result;
+		return receipt.contractAddress;
+	};
+	const wrapper = {
+		overridden: 0,
+		sendAsync(payload, cb) {
+			const [tx, block, overrides] = payload.params || [];
+			if (payload.method !== 'eth_call' || !overrides || !overrides[tx.to]) {
+				return provider.sendAsync(payload, cb);
+			}
+			++wrapper.overridden;
+			const {code} = overrides[tx.to];
+			(async () => {
+				deployed[code] = deployed[code] || await deploy(code);
+				return send({...payload, params: [{...tx, to: deployed[code]}, 'latest']});
+			})().then(r => cb(null, r), cb);
+		},
+	};
+	return wrapper;
+}
+
+// Wraps a provider to look like mainnet, with an ENS registry that knows
+// about `names` (name to address) and `reverseNames` (address to name).
+// Subnames of `wildcards` (name to `subname => address`) are resolved by an
+// ENSIP-10 resolver, and subnames of `offchain` (name to gateway URLs) by
+// one that sends you to a CCIP-Read gateway.
+// Pass `chainId: null` to use the real chain ID.
+function createEnsProvider(provider, {
+	names={},
+	reverseNames={},
+	wildcards={},
+	offchain={},
+	registry='0x00000000000c2e074ec69a0dfb2997ba6c7d2e1e',
+	chainId='0x1',
+}={}) {
+	const {abi} = FlexEther;
+	registry = registry.toLowerCase();
+	const resolver = randomAddress().toLowerCase();
+	const wildcardResolver = randomAddress().toLowerCase();
+	const records = {};
+	for (const [name, addr] of Object.entries(names)) {
+		records[namehash(name)] = {addr};
+	}
+	for (const [addr, name] of Object.entries(reverseNames)) {
+		const node = namehash(`${addr.slice(2).toLowerCase()}.addr.reverse`);
+		records[node] = {...records[node], name};
+	}
+	const wildcardNodes = [...Object.keys(wildcards), ...Object.keys(offchain)].map(namehash);
+	const resolveWildcard = (dnsName, data) => {
+		const name = dnsDecodeName(dnsName);
+		const parent = name.split('.').slice(1).join('.');
+		if (wildcards[parent]) {
+			return abi.encodeParameters(['bytes'], [abi.encodeParameters(['address'], [wildcards[parent](name)])]);
+		}
+		const callData = abi.encodeParameters(['bytes', 'bytes'], [dnsName, data]);
+		throw {
+			data: '0x556f1830' + abi.encodeParameters(
+				['address', 'string[]', 'bytes', 'bytes4', 'bytes'],
+				[wildcardResolver, offchain[parent], callData, '0x12345678', callData],
+			).slice(2),
+		};
+	};
+	const wrapper = {
+		calls: [],
+		sendAsync(payload, cb) {
+			const reply = result => cb(null, {jsonrpc: '2.0', id: payload.id, result});
+			if (payload.method === 'eth_chainId' && chainId) {
+				return reply(chainId);
+			}
+			if (payload.method === 'eth_call') {
+				const {to, data} = payload.params[0];
+				const selector = data.slice(0, 10);
+				const node = '0x' + data.slice(10, 74);
+				const record = records[node];
+				if (to.toLowerCase() === registry) {
+					wrapper.calls.push(payload.params[0]);
+					if (selector === '0x0178b8bf') {
+						const addr = record ? resolver : wildcardNodes.includes(node) ? wildcardResolver : '0x';
+						return reply('0x' + _.padStart(addr.slice(2), 64, '0'));
+					}
+					if (selector === '0x16a25cbd') {
+						return reply('0x' + encodeWord(0));
+					}
+				}
+				if (to.toLowerCase() === resolver || to.toLowerCase() === wildcardResolver) {
+					wrapper.calls.push(payload.params[0]);
+					const isWildcard = to.toLowerCase() === wildcardResolver;
+					if (selector === '0x01ffc9a7') {
+						return reply('0x' + encodeWord(isWildcard && data.slice(10, 18) === '9061b923' ? 1 : 0));
+					}
+					if (selector === '0x3b3b57de') {
+						return reply('0x' + _.padStart(_.get(record, 'addr', '0x').slice(2), 64, '0'));
+					}
+					if (selector === '0x691f3431') {
+						return reply(FlexEther.abi.encodeParameters(['string'], [_.get(record, 'name', '')]));
+					}
+					if (isWildcard && selector === '0x9061b923') {
+						try {
+							return reply(resolveWildcard(...abi.decodeParameters(['bytes', 'bytes'], '0x' + data.slice(10))));
+						} catch (err) {
+							return cb(null, {
+								jsonrpc: '2.0',
+								id: payload.id,
+								error: {code: 3, message: 'execution reverted', data: err.data},
+							});
+						}
+					}
+					// The OffchainLookup callback.
+					if (isWildcard && selector === '0x12345678') {
+						const [response] = abi.decodeParameters(['bytes', 'bytes'], '0x' + data.slice(10));
+						return reply(abi.encodeParameters(['bytes'], [response]));
+					}
+				}
+			}
+			return provider.sendAsync(payload, cb);
+		},
+	};
+	return wrapper;
+}
+
+// A fake `fetch()` for CCIP-Read gateways that serve `addresses`
+// (name to address). URLs starting with `https://down` are down.
+function createGatewayFetch(addresses) {
+	const {abi} = FlexEther;
+	const fetch = async (url, {method, body}) => {
+		fetch.requests.push({url, method});
+		if (url.startsWith('https://down')) {
+			return {status: 503, json: async () => ({message: 'down'})};
+		}
+		const callData = method === 'GET' ? url.split('/').pop().split('.')[0] : JSON.parse(body).data;
+		const [dnsName, data] = abi.decodeParameters(['bytes', 'bytes'], callData);
+		const addr = addresses[dnsDecodeName(dnsName)];
+		if (!addr || !data.startsWith('0x3b3b57de')) {
+			return {status: 404, json: async () => ({message: 'not found'})};
+		}
+		return {status: 200, json: async () => ({data: abi.encodeParameters(['address'], [addr])})};
+	};
+	fetch.requests = [];
+	return fetch;
+}
+
+// Wraps a provider to hold raw transactions back until `mine()` is called.
+function createMempoolProvider(provider) {
+	const pending = [];
+	const send = promisify((payload, cb) => provider.sendAsync(payload, cb));
+	return {
+		pending,
+		async mine(index) {
+			const raw = pending[index];
+			pending.splice(0, pending.length);
+			await send({ jsonrpc: '2.0', id: 1, method: 'eth_sendRawTransaction', params: [raw] });
+		},
+		sendAsync(payload, cb) {
+			if (payload.method === 'eth_sendRawTransaction') {
+				const raw = payload.params[0];
+				pending.push(raw);
+				const hash = ethjs.bufferToHex(ethjs.keccak256(ethjs.toBuffer(raw)));
+				return cb(null, { jsonrpc: '2.0', id: payload.id, result: hash });
+			}
+			return provider.sendAsync(payload, cb);
+		},
+	};
+}
+
 function randomHex(size=32) {
 	return '0x'+crypto.randomBytes(size).toString('hex');
 }
 
+function encodeWord(n) {
+	return _.padStart(n.toString(16), 64, '0');
+}
+
+// Deploys a contract that reverts with whatever calldata it's called with.
+async function deployReverter(eth) {
+	const receipt = await eth.send(null, {
+		data: '0x600a600c600039600a6000f3366000600037366000fd',
+	});
+	return receipt.contractAddress;
+}
+
+// Deploys a contract that returns its calldata, minus the selector.
+async function deployEcho(eth) {
+	const receipt = await eth.send(null, {
+		data: '0x600d600c600039600d6000f3600436038060046000376000f3',
+	});
+	return receipt.contractAddress;
+}
+
+// Deploys Multicall3.
+async function deployMulticall(eth) {
+	const receipt = await eth.send(null, {data: createInitCode(multicall.MULTICALL3_CODE)});
+	return receipt.contractAddress;
+}
+
+// Init code that deploys `code` as is.
+function createInitCode(code) {
+	const size = _.padStart(((code.length - 2) / 2).toString(16), 4, '0');
+	return `0x61${size}600e60003961${size}6000f3${code.slice(2)}`;
+}
+
+// Deploys a contract that emits a log with three topics, taken from the
+// first three words of its calldata, and the rest as data.
+async function deployLogger(eth) {
+	const receipt = await eth.send(null, {
+		data: '0x6017600c60003960176000f3604035602035600035606036038060606000376000a300',
+	});
+	return receipt.contractAddress;
+}
+
+async function emitLog(eth, logger, event, args) {
+	const fragment = FlexEther.abi.parseFragment(event, 'event');
+	const topics = FlexEther.abi.encodeEventTopics(
+		fragment,
+		args.filter((a, i) => fragment.inputs[i].indexed),
+	);
+	const data = FlexEther.abi.encodeParameters(
+		fragment.inputs.filter(p => !p.indexed),
+		args.filter((a, i) => !fragment.inputs[i].indexed),
+	);
+	return eth.send(logger, {data: '0x' + topics.map(t => t.slice(2)).join('') + data.slice(2)});
+}
+
+async function waitFor(predicate, timeout=4000) {
+	const started = Date.now();
+	while (!predicate()) {
+		if (Date.now() - started > timeout) {
+			throw new Error('Timed out waiting for condition.');
+		}
+		await new Promise(accept => setTimeout(accept, 10));
+	}
+}
+
+function namehash(name) {
+	let node = Buffer.alloc(32);
+	for (const label of name.split('.').reverse()) {
+		node = ethjs.keccak256(Buffer.concat([node, ethjs.keccak256(Buffer.from(label))]));
+	}
+	return ethjs.bufferToHex(node);
+}
+
+function dnsDecodeName(dnsName) {
+	const bytes = ethjs.toBuffer(dnsName);
+	const labels = [];
+	for (let i = 0; bytes[i] !== 0; i += bytes[i] + 1) {
+		labels.push(bytes.slice(i + 1, i + 1 + bytes[i]).toString());
+	}
+	return labels.join('.');
+}
+
 function randomAddress() {
 	return ethjs.toChecksumAddress(randomHex(20));
 }
+
+function createMailTypedData() {
+	return {
+		domain: {
+			name: 'Ether Mail',
+			version: '1',
+			chainId: 1,
+			verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC',
+		},
+		types: {
+			Person: [
+				{name: 'name', type: 'string'},
+				{name: 'wallet', type: 'address'},
+			],
+			Mail: [
+				{name: 'from', type: 'Person'},
+				{name: 'to', type: 'Person'},
+				{name: 'contents', type: 'string'},
+			],
+		},
+		message: {
+			from: {name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826'},
+			to: {name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB'},
+			contents: 'Hello, Bob!',
+		},
+	};
+}